@@ -0,0 +1,200 @@
+const Ajv = require('ajv');
+const { logger } = require('./logger');
+
+// Versioned JSON Schemas for what the AI flows must return. Flows may send "schema_version";
+// results without one are validated against the current version for their kind.
+const AI_RESULT_SCHEMA_VERSIONS = {
+  review: '1',
+  merge_check: '2',
+};
+
+const AI_RESULT_SCHEMAS = {
+  review: {
+    '1': {
+      type: 'object',
+      required: ['review_assessment', 'recommendation'],
+      properties: {
+        schema_version: { type: ['string', 'integer'] },
+        pr_id: { type: ['string', 'integer'] },
+        pr_title: { type: 'string' },
+        repository: { type: 'string' },
+        author_name: { type: 'string' },
+        reviewer_names: { type: 'string' },
+        pr_url: { type: 'string' },
+        automated_analysis_results: {
+          type: 'object',
+          properties: {
+            total_issues: { type: 'integer', minimum: 0 },
+            severity_breakdown: {
+              type: 'object',
+              additionalProperties: { type: 'integer', minimum: 0 },
+            },
+            categories: {
+              type: 'object',
+              additionalProperties: { type: 'integer', minimum: 0 },
+            },
+            technical_debt_minutes: { type: 'number', minimum: 0 },
+          },
+        },
+        human_review_analysis: {
+          type: 'object',
+          properties: {
+            comment_count: { type: 'integer', minimum: 0 },
+            issues_addressed_by_reviewers: { type: 'integer', minimum: 0 },
+            security_issues_caught: { type: 'integer', minimum: 0 },
+            quality_issues_caught: { type: 'integer', minimum: 0 },
+          },
+        },
+        review_assessment: { enum: ['PROPERLY REVIEWED', 'NEEDS REVIEW', 'NOT PROPERLY REVIEWED'] },
+        detailed_findings: { type: 'array', items: { type: 'string' } },
+        findings: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['severity', 'message'],
+            properties: {
+              path: { type: 'string' },
+              line: { type: 'integer', minimum: 1 },
+              start_line: { type: 'integer', minimum: 1 },
+              severity: { enum: ['blocker', 'critical', 'major', 'minor', 'info'] },
+              category: { type: 'string' },
+              message: { type: 'string', minLength: 1 },
+              suggestion: { type: 'string' },
+            },
+          },
+        },
+        recommendation: { type: 'string', minLength: 1 },
+      },
+    },
+  },
+  merge_check: {
+    '1': {
+      type: 'object',
+      required: ['ready', 'summary'],
+      properties: {
+        schema_version: { type: ['string', 'integer'] },
+        ready: { type: 'boolean' },
+        summary: { type: 'string', minLength: 1 },
+        reasons: { type: 'array', items: { type: 'string' } },
+      },
+    },
+    '2': {
+      type: 'object',
+      required: ['verdict', 'blocking_reasons', 'confidence', 'summary'],
+      properties: {
+        schema_version: { type: ['string', 'integer'] },
+        verdict: { enum: ['ready', 'not_ready', 'needs_human'] },
+        blocking_reasons: { type: 'array', items: { type: 'string', minLength: 1 } },
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        summary: { type: 'string', minLength: 1 },
+      },
+    },
+  },
+};
+
+// kind -> version -> compiled validator
+const AI_RESULT_VALIDATORS = Object.fromEntries(Object.entries(AI_RESULT_SCHEMAS).map(([kind, versions]) => {
+  // schema_version and pr_id accept both strings and integers
+  const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+  return [kind, Object.fromEntries(Object.entries(versions).map(([version, schema]) => [version, ajv.compile(schema)]))];
+}));
+
+// Function to remove commas before a closing bracket, leaving string contents untouched
+function removeTrailingCommas(text) {
+  let result = '';
+  let inString = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (inString) {
+      result += char;
+      if (char === '\\') {
+        result += text[++index] || '';
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === ',' && /^\s*[}\]]/.test(text.slice(index + 1))) {
+      continue;
+    }
+    result += char;
+  }
+
+  return result;
+}
+
+// Function to repair the usual LLM JSON mistakes: code fences, prose around the object, trailing commas
+function repairAIJson(text) {
+  let repaired = String(text).trim();
+
+  const fenced = repaired.match(/```(?:json|JSON)?\s*\n?([\s\S]*?)\n?```/);
+  if (fenced) {
+    repaired = fenced[1].trim();
+  }
+
+  const start = repaired.indexOf('{');
+  const end = repaired.lastIndexOf('}');
+  if (start !== -1 && end > start) {
+    repaired = repaired.slice(start, end + 1);
+  }
+
+  return removeTrailingCommas(repaired);
+}
+
+// Function to parse and validate an AI flow result; returns { data, repaired } or { errors }
+function parseAIResult(message, kind) {
+  let data;
+  let repaired = false;
+
+  try {
+    data = JSON.parse(message);
+  } catch (parseError) {
+    try {
+      data = JSON.parse(repairAIJson(message));
+      repaired = true;
+    } catch (repairError) {
+      return { errors: [`(root): response is not valid JSON (${parseError.message})`] };
+    }
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { errors: ['(root): must be a JSON object'] };
+  }
+
+  const version = data.schema_version === undefined ? AI_RESULT_SCHEMA_VERSIONS[kind] : String(data.schema_version);
+  const validate = AI_RESULT_VALIDATORS[kind][version];
+  if (!validate) {
+    return { errors: [`schema_version: unsupported version '${version}' (supported: ${Object.keys(AI_RESULT_VALIDATORS[kind]).join(', ')})`] };
+  }
+
+  if (!validate(data)) {
+    return {
+      errors: validate.errors.map(schemaError => {
+        const field = schemaError.instancePath.split('/').slice(1)
+          .map(part => (/^\d+$/.test(part) ? `[${part}]` : `.${part}`))
+          .join('')
+          .replace(/^\./, '') || '(root)';
+        const detail = schemaError.keyword === 'enum'
+          ? `must be one of ${schemaError.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`
+          : schemaError.message;
+        return `${field}: ${detail}`;
+      }),
+    };
+  }
+
+  if (repaired) {
+    logger.info(`Repaired malformed ${kind} JSON from the AI flow`);
+  }
+
+  return { data, repaired };
+}
+
+module.exports = {
+  repairAIJson,
+  parseAIResult,
+};
@@ -0,0 +1,67 @@
+// Service configuration, read once from the environment (and .env, loaded by app.js)
+const CONFIG = {
+  metrics: {
+    prefix: process.env.METRICS_PREFIX || 'ai_pr_review_',
+    token: process.env.METRICS_TOKEN || null, // when set, /metrics requires "Authorization: Bearer <token>"
+    public: process.env.METRICS_PUBLIC === 'true', // without a token, /metrics is disabled unless this is set
+    defaultMetrics: process.env.METRICS_DEFAULT !== 'false', // Node.js process metrics
+  },
+  logging: {
+    level: (process.env.LOG_LEVEL || 'info').toLowerCase(), // debug | info | warn | error
+    format: process.env.LOG_FORMAT || 'json', // json | pretty
+    redactFields: (process.env.LOG_REDACT_FIELDS || '').split(',').map(field => field.trim()).filter(Boolean),
+    maxStringLength: parseInt(process.env.LOG_MAX_STRING_LENGTH || '2000'),
+  },
+  langflow: {
+    timeout: parseInt(process.env.LANGFLOW_TIMEOUT || '120000'), // 2 minutes
+    retries: parseInt(process.env.LANGFLOW_RETRIES || '3'),
+    retryDelay: parseInt(process.env.LANGFLOW_RETRY_DELAY || '5000'), // 5 seconds
+    healthCheckTimeout: parseInt(process.env.LANGFLOW_HEALTH_TIMEOUT || '10000'), // 10 seconds
+  },
+  github: {
+    tokenRefreshMargin: parseInt(process.env.GITHUB_TOKEN_REFRESH_MARGIN || '300000'), // 5 minutes
+    tokenMinValidity: parseInt(process.env.GITHUB_TOKEN_MIN_VALIDITY || '60000'), // 1 minute
+  },
+  webhooks: {
+    // The previous secret stays valid while a rotation is rolled out on GitHub's side
+    secrets: [process.env.GITHUB_WEBHOOK_SECRET, process.env.GITHUB_WEBHOOK_SECRET_PREVIOUS].filter(Boolean),
+    maxPayloadSize: process.env.WEBHOOK_MAX_PAYLOAD_SIZE || '25mb', // GitHub caps payloads at 25 MB
+  },
+  queue: {
+    concurrency: parseInt(process.env.JOB_QUEUE_CONCURRENCY || '2'),
+    maxAttempts: parseInt(process.env.JOB_QUEUE_MAX_ATTEMPTS || '3'),
+    retryBaseDelay: parseInt(process.env.JOB_QUEUE_RETRY_DELAY || '30000'), // 30 seconds, doubled per attempt
+    deadLetterLimit: parseInt(process.env.JOB_QUEUE_DEAD_LETTER_LIMIT || '100'),
+    persistPath: process.env.JOB_QUEUE_FILE || null,
+  },
+  dedup: {
+    deliveryTtl: parseInt(process.env.DEDUP_DELIVERY_TTL || '3600000'), // 1 hour
+    idempotencyTtl: parseInt(process.env.DEDUP_IDEMPOTENCY_TTL || '60000'), // 1 minute after the job finishes
+  },
+  repoConfig: {
+    orgRepository: process.env.REPO_CONFIG_ORG_REPOSITORY || '.github',
+    cacheTtl: parseInt(process.env.REPO_CONFIG_CACHE_TTL || '60000'), // 1 minute
+  },
+  api: {
+    keys: (process.env.API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean),
+    githubTokenCacheTtl: parseInt(process.env.API_GITHUB_TOKEN_CACHE_TTL || '300000'), // 5 minutes
+    installationCacheTtl: parseInt(process.env.API_INSTALLATION_CACHE_TTL || '600000'), // 10 minutes
+  },
+  dashboard: {
+    user: process.env.DASHBOARD_USER || 'admin',
+    password: process.env.DASHBOARD_PASSWORD || null, // the dashboard is disabled without one
+    windowDays: parseInt(process.env.DASHBOARD_WINDOW_DAYS || '7'),
+    maxRuns: parseInt(process.env.DASHBOARD_MAX_RUNS || '5000'),
+    recentRuns: parseInt(process.env.DASHBOARD_RECENT_RUNS || '50'),
+  },
+  history: {
+    store: process.env.REVIEW_HISTORY_STORE || 'sqlite', // sqlite | memory
+    sqlitePath: process.env.REVIEW_HISTORY_DB || 'data/review-history.db',
+    memoryLimit: parseInt(process.env.REVIEW_HISTORY_MEMORY_LIMIT || '1000'),
+    maxRawOutputChars: parseInt(process.env.REVIEW_HISTORY_MAX_OUTPUT || '100000'),
+  }
+};
+
+module.exports = {
+  CONFIG,
+};
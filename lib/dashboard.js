@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const { CONFIG } = require('./config');
+
+// Function to escape text for HTML output
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Express middleware protecting the dashboard with HTTP basic auth
+function requireDashboardAuth(req, res, next) {
+  if (!CONFIG.dashboard.password) {
+    return res.status(404).send('Dashboard is disabled (set DASHBOARD_PASSWORD to enable it)');
+  }
+
+  const [scheme, encoded] = (req.get('authorization') || '').split(' ');
+  const [user, ...passwordParts] = scheme === 'Basic' && encoded
+    ? Buffer.from(encoded, 'base64').toString('utf8').split(':')
+    : [];
+  const hash = value => crypto.createHash('sha256').update(String(value)).digest();
+
+  const userMatches = crypto.timingSafeEqual(hash(user), hash(CONFIG.dashboard.user));
+  const passwordMatches = crypto.timingSafeEqual(hash(passwordParts.join(':')), hash(CONFIG.dashboard.password));
+
+  if (user === undefined || !userMatches || !passwordMatches) {
+    res.set('WWW-Authenticate', 'Basic realm="AI PR Review dashboard", charset="UTF-8"');
+    return res.status(401).send('Authentication required');
+  }
+
+  next();
+}
+
+// Function to aggregate history runs into the dashboard's statistics
+function summarizeRuns(runs) {
+  const byStatus = {};
+  const failures = {};
+  const durations = {};
+  const verdicts = {};
+
+  for (const run of runs) {
+    byStatus[run.status] = (byStatus[run.status] || 0) + 1;
+
+    if (run.status !== 'success') {
+      const category = run.error_category || 'other';
+      failures[category] = failures[category] || { count: 0, latestError: run.error };
+      failures[category].count++;
+    }
+
+    if (run.duration_ms !== null && run.duration_ms !== undefined) {
+      (durations[run.kind] = durations[run.kind] || []).push(run.duration_ms);
+    }
+
+    if (run.status === 'success' && run.verdict) {
+      const key = `${run.repository}\n${run.kind}`;
+      verdicts[key] = verdicts[key] || { repository: run.repository, kind: run.kind, counts: {}, total: 0 };
+      verdicts[key].counts[run.verdict] = (verdicts[key].counts[run.verdict] || 0) + 1;
+      verdicts[key].total++;
+    }
+  }
+
+  const durationStats = Object.entries(durations).map(([kind, values]) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return {
+      kind,
+      count: sorted.length,
+      avg: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+      p95: sorted[Math.min(Math.ceil(sorted.length * 0.95) - 1, sorted.length - 1)],
+      max: sorted[sorted.length - 1],
+    };
+  });
+
+  return {
+    total: runs.length,
+    byStatus,
+    failures: Object.entries(failures).map(([category, entry]) => ({ category, ...entry })).sort((a, b) => b.count - a.count),
+    durations: durationStats,
+    verdicts: Object.values(verdicts).sort((a, b) => a.repository.localeCompare(b.repository) || a.kind.localeCompare(b.kind)),
+  };
+}
+
+// Function to format milliseconds for humans
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '–';
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  return `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
+}
+
+// Verdict/status -> CSS class used for the coloured badges
+const DASHBOARD_BADGES = {
+  success: 'good',
+  ready: 'good',
+  'PROPERLY REVIEWED': 'good',
+  failed: 'bad',
+  invalid_output: 'bad',
+  not_ready: 'bad',
+  'NOT PROPERLY REVIEWED': 'bad',
+  needs_human: 'warn',
+  'NEEDS REVIEW': 'warn',
+};
+
+// Function to render the dashboard page
+function renderDashboard({ runs, summary, queue, filters, truncated, historyStore }) {
+  const badge = value => `<span class="badge ${DASHBOARD_BADGES[value] || ''}">${escapeHtml(value)}</span>`;
+  const table = (headers, rows, empty) => rows.length === 0
+    ? `<p class="empty">${escapeHtml(empty)}</p>`
+    : `<table><thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead><tbody>${rows.join('')}</tbody></table>`;
+  const jobRow = (job, when) => `<tr><td><code>${escapeHtml(job.id)}</code></td><td>${escapeHtml(job.type)}</td><td>${escapeHtml(job.key)}</td><td>${job.attempts}</td><td>${escapeHtml(when)}</td><td class="error">${escapeHtml(job.lastError || '')}</td></tr>`;
+  const jobHeaders = ['Job', 'Type', 'Pull request', 'Attempts', 'When', 'Last error'];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta http-equiv="refresh" content="30">
+<title>AI PR Review - Dashboard</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem; color: #1f2328; background: #f6f8fa; }
+  h1 { margin-top: 0; }
+  h2 { margin-top: 2rem; border-bottom: 1px solid #d0d7de; padding-bottom: .3rem; }
+  table { border-collapse: collapse; width: 100%; background: #fff; font-size: .9rem; }
+  th, td { border: 1px solid #d0d7de; padding: .35rem .6rem; text-align: left; vertical-align: top; }
+  th { background: #eaeef2; }
+  .cards { display: flex; gap: 1rem; flex-wrap: wrap; }
+  .card { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: .8rem 1.2rem; min-width: 8rem; }
+  .card strong { display: block; font-size: 1.6rem; }
+  .badge { display: inline-block; padding: 0 .45rem; border-radius: 1rem; background: #eaeef2; font-size: .8rem; margin: 0 .2rem .2rem 0; }
+  .good { background: #dafbe1; } .bad { background: #ffebe9; } .warn { background: #fff8c5; }
+  .error { color: #cf222e; max-width: 30rem; overflow-wrap: anywhere; }
+  .empty, .note { color: #656d76; }
+  form { margin-bottom: 1rem; }
+</style>
+</head>
+<body>
+<h1>🤖 AI PR Review</h1>
+<form method="get">
+  <label>Repository <input name="repo" placeholder="owner/name" value="${escapeHtml(filters.repo || '')}"></label>
+  <label>Days <input name="days" type="number" min="1" max="90" value="${filters.days}"></label>
+  <button type="submit">Filter</button>
+</form>
+
+<div class="cards">
+  <div class="card"><strong>${summary.total}</strong>runs in ${filters.days} day(s)</div>
+  <div class="card"><strong>${summary.byStatus.success || 0}</strong>succeeded</div>
+  <div class="card"><strong>${summary.byStatus.failed || 0}</strong>failed</div>
+  <div class="card"><strong>${summary.byStatus.invalid_output || 0}</strong>invalid AI output</div>
+  <div class="card"><strong>${queue.stats.pending + queue.stats.running}</strong>queued / running jobs</div>
+</div>
+${truncated ? `<p class="note">Only the latest ${CONFIG.dashboard.maxRuns} runs are included in the statistics.</p>` : ''}
+
+<h2>Queue</h2>
+<p class="note">${queue.stats.running} running, ${queue.stats.pending} pending, ${queue.stats.deadLetters} dead-lettered · ${queue.stats.completed} completed, ${queue.stats.retried} retried since start</p>
+${table(jobHeaders, [
+    ...queue.running.map(job => jobRow(job, 'running')),
+    ...queue.pending.map(job => jobRow(job, job.runAt > Date.now() ? `retry at ${new Date(job.runAt).toISOString()}` : 'pending')),
+  ], 'No jobs queued.')}
+
+<h3>Dead letters</h3>
+${table(jobHeaders, queue.deadLetters.slice(0, 20).map(job => jobRow(job, job.failedAt)), 'No dead-lettered jobs.')}
+
+<h2>Failure reasons</h2>
+${table(['Category', 'Runs', 'Latest error'], summary.failures.map(failure =>
+    `<tr><td>${badge(failure.category)}</td><td>${failure.count}</td><td class="error">${escapeHtml(String(failure.latestError || '').substring(0, 300))}</td></tr>`
+  ), 'No failed runs.')}
+
+<h2>Verdicts by repository</h2>
+${table(['Repository', 'Kind', 'Verdicts'], summary.verdicts.map(entry =>
+    `<tr><td>${escapeHtml(entry.repository)}</td><td>${escapeHtml(entry.kind)}</td><td>${Object.entries(entry.counts)
+      .sort((a, b) => b[1] - a[1])
+      .map(([verdict, count]) => `${badge(verdict)} ${count} (${Math.round(count / entry.total * 100)}%)`)
+      .join(' ')}</td></tr>`
+  ), 'No completed runs.')}
+
+<h2>Durations</h2>
+${table(['Kind', 'Runs', 'Average', 'p95', 'Max'], summary.durations.map(entry =>
+    `<tr><td>${escapeHtml(entry.kind)}</td><td>${entry.count}</td><td>${formatDuration(entry.avg)}</td><td>${formatDuration(entry.p95)}</td><td>${formatDuration(entry.max)}</td></tr>`
+  ), 'No runs yet.')}
+
+<h2>Recent runs</h2>
+${table(['When', 'Pull request', 'Kind', 'Status', 'Verdict', 'Duration', 'Flow', 'Error'], runs.slice(0, CONFIG.dashboard.recentRuns).map(run =>
+    `<tr><td>${escapeHtml(run.created_at)}</td><td><a href="https://github.com/${escapeHtml(run.repository)}/pull/${run.pr_number}">${escapeHtml(run.repository)}#${run.pr_number}</a></td><td>${escapeHtml(run.kind)}</td><td>${badge(run.status)}</td><td>${run.verdict ? badge(run.verdict) : '–'}</td><td>${formatDuration(run.duration_ms)}</td><td><code>${escapeHtml(run.flow_id || '')}</code></td><td class="error">${escapeHtml(run.error ? `${run.error_category || 'other'}: ${String(run.error).substring(0, 200)}` : '')}</td></tr>`
+  ), 'No runs recorded yet.')}
+
+<p class="note">History store: ${escapeHtml(historyStore)} · refreshed ${escapeHtml(new Date().toISOString())}</p>
+</body>
+</html>`;
+}
+
+module.exports = {
+  requireDashboardAuth,
+  summarizeRuns,
+  renderDashboard,
+};
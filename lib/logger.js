@@ -0,0 +1,174 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { CONFIG } = require('./config');
+
+// Structured logging: one JSON object per line (LOG_FORMAT=pretty for local development),
+// tagged with the correlation ID of the webhook delivery or API request being handled.
+// Every message and attached value goes through the redaction layer before it is written.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const logContext = new AsyncLocalStorage();
+
+// Field names whose values are never logged; compared lower-cased with "-" and "_" removed
+const REDACTED_LOG_FIELDS = new Set([
+  'authorization', 'proxyauthorization', 'cookie', 'setcookie', 'xapikey', 'xhubsignature', 'xhubsignature256',
+  ...CONFIG.logging.redactFields.map(normalizeLogField),
+]);
+const REDACTED_LOG_FIELD_SUFFIX = /(password|secret|token|apikey|privatekey|credentials)$/;
+
+const SECRET_LOG_PATTERNS = [
+  [/-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g, '[REDACTED PRIVATE KEY]'],
+  [/\b(?:gh[pousr]_[A-Za-z0-9]{20,}|github_pat_[A-Za-z0-9_]{20,})/g, '[REDACTED GITHUB TOKEN]'],
+  [/\beyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]+/g, '[REDACTED JWT]'],
+  [/\b(Bearer|Basic|token)\s+[A-Za-z0-9._~+/=-]{16,}/gi, '$1 [REDACTED]'],
+  // Secrets inside already-serialized JSON, e.g. "github_token":"..."
+  [/("[\w-]*(?:token|secret|password|api_?key|authorization)"\s*:\s*)"(?:[^"\\]|\\.)*"/gi, '$1"[REDACTED]"'],
+];
+
+// Values of secret-looking environment variables (API keys, tokens, webhook secrets, the
+// private key) are masked wherever they show up, whatever the field is called
+const knownLogSecrets = new Set();
+
+// Function to normalize a field name for the redaction lookup
+function normalizeLogField(field) {
+  return String(field).toLowerCase().replace(/[-_]/g, '');
+}
+
+// Function to register a secret value so it is masked in every log line
+function registerLogSecret(value) {
+  if (typeof value === 'string' && value.trim().length >= 8) {
+    knownLogSecrets.add(value.trim());
+  }
+}
+
+Object.entries(process.env)
+  .filter(([name]) => /(KEY|KEYS|TOKEN|SECRET|SECRET_PREVIOUS|PASSWORD)$/.test(name))
+  .forEach(([, value]) => value.split(',').forEach(registerLogSecret));
+
+// Function to mask secrets in a string and cap its length
+function redactLogString(value) {
+  let text = value;
+
+  for (const secret of knownLogSecrets) {
+    if (text.includes(secret)) {
+      text = text.split(secret).join('[REDACTED]');
+    }
+  }
+  for (const [pattern, replacement] of SECRET_LOG_PATTERNS) {
+    text = text.replace(pattern, replacement);
+  }
+
+  if (text.length > CONFIG.logging.maxStringLength) {
+    text = `${text.substring(0, CONFIG.logging.maxStringLength)}... [${text.length - CONFIG.logging.maxStringLength} more chars]`;
+  }
+  return text;
+}
+
+// Function to copy a value for logging with secret fields and strings masked
+function redactLogValue(value, depth = 0, ancestors = new Set()) {
+  if (typeof value === 'string') return redactLogString(value);
+  if (typeof value === 'bigint') return value.toString();
+  if (typeof value === 'function') return `[Function ${value.name || 'anonymous'}]`;
+  if (value === null || typeof value !== 'object') return value;
+
+  if (ancestors.has(value)) return '[Circular]';
+  if (depth >= 6) return '[Truncated]';
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+
+  ancestors.add(value);
+  let copy;
+
+  if (value instanceof Error) {
+    copy = { name: value.name, message: redactLogValue(value.message, depth + 1, ancestors) };
+    for (const field of ['status', 'code', 'category', 'retryable']) {
+      if (value[field] !== undefined) copy[field] = value[field];
+    }
+    if (value.stack) copy.stack = redactLogString(value.stack);
+  } else if (Array.isArray(value)) {
+    copy = value.slice(0, 100).map(item => redactLogValue(item, depth + 1, ancestors));
+    if (value.length > 100) copy.push(`[${value.length - 100} more items]`);
+  } else {
+    const entries = value instanceof Map ? [...value.entries()] : Object.entries(value);
+    copy = {};
+    for (const [field, fieldValue] of entries) {
+      const normalized = normalizeLogField(field);
+      copy[field] = REDACTED_LOG_FIELDS.has(normalized) || REDACTED_LOG_FIELD_SUFFIX.test(normalized)
+        ? '[REDACTED]'
+        : redactLogValue(fieldValue, depth + 1, ancestors);
+    }
+  }
+
+  ancestors.delete(value);
+  return copy;
+}
+
+// Function to format a log entry for humans (LOG_FORMAT=pretty)
+function formatPrettyLog({ time, level, msg, correlation_id, job_id, ...rest }) {
+  const context = [correlation_id, job_id].filter(Boolean).join(' ');
+  const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+  return `${time} ${level.toUpperCase().padEnd(5)}${context ? ` [${context}]` : ''} ${msg}${extra}`;
+}
+
+// Function to write one log entry. Arguments follow console.log: primitives form the
+// message, the first Error becomes "err" and any other objects become "data".
+function writeLog(level, args) {
+  if (LOG_LEVELS[level] < (LOG_LEVELS[CONFIG.logging.level] || LOG_LEVELS.info)) {
+    return;
+  }
+
+  const context = logContext.getStore() || {};
+  const message = [];
+  const data = [];
+  let err;
+
+  for (const arg of args) {
+    if (arg instanceof Error && !err) {
+      err = arg;
+    } else if (arg !== null && typeof arg === 'object') {
+      data.push(arg);
+    } else {
+      message.push(String(arg));
+    }
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactLogString(message.join(' ').trim()),
+    ...(context.correlationId ? { correlation_id: context.correlationId } : {}),
+    ...(context.jobId ? { job_id: context.jobId } : {}),
+    ...(data.length > 0 ? { data: redactLogValue(data.length === 1 ? data[0] : data) } : {}),
+    ...(err ? { err: redactLogValue(err) } : {}),
+  };
+
+  const line = CONFIG.logging.format === 'pretty' ? formatPrettyLog(entry) : JSON.stringify(entry);
+  (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+const logger = {
+  debug: (...args) => writeLog('debug', args),
+  info: (...args) => writeLog('info', args),
+  warn: (...args) => writeLog('warn', args),
+  error: (...args) => writeLog('error', args),
+};
+
+// Octokit's own request logging is only interesting when debugging
+const OCTOKIT_LOG = {
+  debug: logger.debug,
+  info: logger.debug,
+  warn: logger.warn,
+  error: logger.error,
+};
+
+// Function to read the correlation ID of the delivery or request being handled
+function getCorrelationId() {
+  return (logContext.getStore() || {}).correlationId || null;
+}
+
+module.exports = {
+  logger,
+  logContext,
+  OCTOKIT_LOG,
+  getCorrelationId,
+  registerLogSecret,
+  redactLogValue,
+};
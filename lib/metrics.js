@@ -0,0 +1,41 @@
+const promClient = require('prom-client');
+const { CONFIG } = require('./config');
+
+// Prometheus metrics, served on /metrics by app.js. Everything here is counted where it
+// happens; gauges read from live app state (queue depth, token cache) are defined in app.js.
+const metricsRegistry = new promClient.Registry();
+
+if (CONFIG.metrics.defaultMetrics) {
+  promClient.collectDefaultMetrics({ register: metricsRegistry, prefix: CONFIG.metrics.prefix });
+}
+
+// Function to register a metric under the configured prefix
+function defineMetric(Type, name, help, labelNames = [], extra = {}) {
+  return new Type({ name: `${CONFIG.metrics.prefix}${name}`, help, labelNames, registers: [metricsRegistry], ...extra });
+}
+
+const metrics = {
+  webhookEvents: defineMetric(promClient.Counter, 'webhook_events_total', 'Verified webhook deliveries by event and action', ['event', 'action']),
+  webhookRejections: defineMetric(promClient.Counter, 'webhook_rejections_total', 'Rejected webhook deliveries by reason', ['reason']),
+  reviewRuns: defineMetric(promClient.Counter, 'review_runs_total', 'Finished review and merge check runs', ['kind', 'status', 'verdict']),
+  reviewRunDuration: defineMetric(promClient.Histogram, 'review_run_duration_seconds', 'Duration of review and merge check runs', ['kind', 'status'], {
+    buckets: [5, 15, 30, 60, 120, 300, 600],
+  }),
+  checkRunConclusions: defineMetric(promClient.Counter, 'check_run_conclusions_total', 'Check runs completed by the bot, by conclusion', ['conclusion']),
+  aiRequests: defineMetric(promClient.Counter, 'ai_requests_total', 'AI flow runs by backend and outcome', ['backend', 'type', 'outcome', 'category']),
+  langflowDuration: defineMetric(promClient.Histogram, 'langflow_request_duration_seconds', 'Latency of Langflow API calls by HTTP status code', ['status_code'], {
+    buckets: [1, 5, 10, 30, 60, 120, 300],
+  }),
+  fetchRetries: defineMetric(promClient.Counter, 'fetch_retries_total', 'Retries made by fetchWithRetry', ['reason']),
+  githubRequests: defineMetric(promClient.Counter, 'github_api_requests_total', 'GitHub API requests by method, route and status', ['method', 'route', 'status']),
+  githubRateLimitRemaining: defineMetric(promClient.Gauge, 'github_rate_limit_remaining', 'Remaining GitHub API requests in the current rate limit window', ['installation']),
+  jobs: defineMetric(promClient.Counter, 'jobs_total', 'Job queue outcomes by job type', ['type', 'outcome']),
+  tokenCacheLookups: defineMetric(promClient.Counter, 'github_token_cache_lookups_total', 'Installation token cache lookups', ['result']),
+  tokenRefreshes: defineMetric(promClient.Counter, 'github_token_refreshes_total', 'Installation token refreshes by outcome', ['outcome']),
+};
+
+module.exports = {
+  metricsRegistry,
+  defineMetric,
+  metrics,
+};
@@ -1,15 +1,26 @@
 // test-webhook-secret.js
+// Usage: node test-webhook-secret.js [payload-file]
+// Signs the exact payload bytes the way GitHub does, for comparing against x-hub-signature-256
 require('dotenv').config();
 const crypto = require('crypto');
+const fs = require('fs');
 
-const testPayload = '{"test": "data"}';
-const secret = process.env.GITHUB_WEBHOOK_SECRET;
+const testPayload = process.argv[2] ? fs.readFileSync(process.argv[2]) : Buffer.from('{"test": "data"}', 'utf8');
 
-console.log('Webhook Secret:', secret ? 'Present' : 'Missing');
-console.log('Secret Length:', secret ? secret.length : 0);
+const secrets = {
+  GITHUB_WEBHOOK_SECRET: process.env.GITHUB_WEBHOOK_SECRET,
+  GITHUB_WEBHOOK_SECRET_PREVIOUS: process.env.GITHUB_WEBHOOK_SECRET_PREVIOUS,
+};
 
-if (secret) {
-  const hmac = crypto.createHmac('sha256', secret);
-  const signature = 'sha256=' + hmac.update(testPayload, 'utf8').digest('hex');
-  console.log('Generated Signature:', signature);
-}
\ No newline at end of file
+console.log('Payload bytes:', testPayload.length);
+
+for (const [name, secret] of Object.entries(secrets)) {
+  console.log(`${name}:`, secret ? 'Present' : 'Missing');
+  console.log(`${name} Length:`, secret ? secret.length : 0);
+
+  if (secret) {
+    const hmac = crypto.createHmac('sha256', secret);
+    const signature = 'sha256=' + hmac.update(testPayload).digest('hex');
+    console.log(`${name} Signature:`, signature);
+  }
+}
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { loadApp, checkRunPayload, fakeOctokit } = require('./helpers');
+
+const { reportInvalidAIOutput, parseAIResult, repairAIJson, triggerAIFlow, truncateCommentText, buildBotCommentBody, AI_BACKENDS } = loadApp();
+
+// A review result that is valid JSON but longer than a GitHub comment
+const longReview = JSON.stringify({
+  review_assessment: 'NEEDS REVIEW',
+  recommendation: 'Split this PR',
+  findings: Array.from({ length: 800 }, (_, index) => ({
+    severity: 'minor',
+    message: `Finding ${index}: ${'x'.repeat(80)}`,
+  })),
+});
+
+test('invalid AI output fails the check run', async () => {
+  const octokit = fakeOctokit();
+
+  await reportInvalidAIOutput(octokit, checkRunPayload(), 'review', ['review_assessment: is required'], '{"nope": true}');
+
+  const [name, params] = octokit.calls[0];
+  assert.strictEqual(name, 'checks.update');
+  assert.strictEqual(params.conclusion, 'failure');
+  assert.strictEqual(params.output.title, '❌ Invalid AI Output');
+  assert.match(params.output.text, /review_assessment: is required/);
+});
+
+test('long AI output reaches validation untruncated', async (t) => {
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ choices: [{ message: { content: longReview } }] }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  AI_BACKENDS.local = { type: 'openai', base_url: `http://127.0.0.1:${server.address().port}/v1`, model: 'm' };
+
+  assert.ok(longReview.length > 65000);
+  const result = await triggerAIFlow({ title: 'Change' }, { backend: 'local' }, { timeout: 5000 });
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.message, longReview);
+  assert.strictEqual(parseAIResult(result.message, 'review').data.findings.length, 800);
+});
+
+test('only rendered comments are truncated', () => {
+  const text = truncateCommentText('y'.repeat(70000));
+  assert.strictEqual(text.length, 65000);
+  assert.match(text, /Message truncated due to length/);
+
+  assert.strictEqual(truncateCommentText('short'), 'short');
+  assert.ok(buildBotCommentBody('review', 'z'.repeat(70000), [], null).length <= 65000);
+});
+
+test('repairAIJson strips code fences, surrounding prose and trailing commas', () => {
+  const repaired = repairAIJson('Here is the review:\n```json\n{"a": [1, 2,], "b": "x, }",}\n```\nThanks!');
+  assert.deepStrictEqual(JSON.parse(repaired), { a: [1, 2], b: 'x, }' });
+});
+
+test('parseAIResult accepts valid results and flags repaired ones', () => {
+  const valid = { review_assessment: 'PROPERLY REVIEWED', recommendation: 'Merge' };
+
+  assert.deepStrictEqual(parseAIResult(JSON.stringify(valid), 'review'), { data: valid, repaired: false });
+  assert.strictEqual(parseAIResult(`\`\`\`json\n${JSON.stringify(valid)}\n\`\`\``, 'review').repaired, true);
+});
+
+test('parseAIResult reports schema errors with field paths', () => {
+  const result = parseAIResult(JSON.stringify({
+    review_assessment: 'LGTM',
+    recommendation: 'Merge',
+    findings: [{ severity: 'minor', message: 'x', line: 0 }],
+  }), 'review');
+
+  assert.ok(result.errors.some(error => error.startsWith('review_assessment: must be one of')));
+  assert.ok(result.errors.includes('findings[0].line: must be >= 1'));
+  assert.match(parseAIResult('not json at all', 'review').errors[0], /not valid JSON/);
+  assert.deepStrictEqual(parseAIResult('[1]', 'review').errors, ['(root): must be a JSON object']);
+});
+
+test('parseAIResult accepts numeric and string schema versions', () => {
+  const verdict = { verdict: 'ready', blocking_reasons: [], confidence: 0.9, summary: 'Good to go' };
+
+  assert.ok(parseAIResult(JSON.stringify({ ...verdict, schema_version: 2 }), 'merge_check').data);
+  assert.ok(parseAIResult(JSON.stringify({ ...verdict, schema_version: '2' }), 'merge_check').data);
+  assert.ok(parseAIResult(JSON.stringify({ schema_version: 1, review_assessment: 'NEEDS REVIEW', recommendation: 'Fix' }), 'review').data);
+  assert.match(parseAIResult(JSON.stringify({ ...verdict, schema_version: 7 }), 'merge_check').errors[0], /unsupported version '7'/);
+});
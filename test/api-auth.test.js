@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, listen } = require('./helpers');
+
+const { app, authenticateApi, recordReviewRun } = loadApp({ API_KEYS: 'key-one' });
+
+// Function to run the middleware against the given headers
+async function authenticate(headers) {
+  const req = { get: name => headers[name.toLowerCase()] };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  let passed = false;
+
+  await authenticateApi(req, res, () => { passed = true; });
+  return { req, res, passed };
+}
+
+// Function to record the hosts of outgoing requests, failing each of them. Requests to the
+// local test server still go through.
+function blockFetch(t) {
+  const hosts = [];
+  const localFetch = globalThis.fetch;
+  t.mock.method(globalThis, 'fetch', async (url, options) => {
+    const { hostname } = new URL(url);
+    if (hostname === '127.0.0.1') {
+      return localFetch(url, options);
+    }
+    hosts.push(hostname);
+    throw new Error('network disabled in tests');
+  });
+  return hosts;
+}
+
+test('API keys are accepted from X-API-Key and as a bearer token', async () => {
+  const fromHeader = await authenticate({ 'x-api-key': 'key-one' });
+  const fromBearer = await authenticate({ authorization: 'Bearer key-one' });
+
+  assert.ok(fromHeader.passed);
+  assert.deepStrictEqual(fromBearer.req.apiAuth, { type: 'api_key' });
+});
+
+test('a wrong X-API-Key is rejected', async () => {
+  const { res, passed } = await authenticate({ 'x-api-key': 'key-two' });
+
+  assert.ok(!passed);
+  assert.strictEqual(res.statusCode, 401);
+});
+
+test('a wrong API key sent as a bearer token is not forwarded to GitHub', async (t) => {
+  const hosts = blockFetch(t);
+
+  const { res, passed } = await authenticate({ authorization: 'Bearer key-two' });
+
+  assert.ok(!passed);
+  assert.strictEqual(res.statusCode, 401);
+  assert.deepStrictEqual(hosts, []);
+});
+
+test('GitHub tokens are verified with GitHub', async (t) => {
+  const hosts = blockFetch(t);
+
+  const { res, passed } = await authenticate({ authorization: 'token ghp_abcdef123456' });
+
+  assert.ok(!passed);
+  assert.strictEqual(res.statusCode, 401);
+  assert.deepStrictEqual(hosts, ['api.github.com']);
+});
+
+test('requests without credentials are rejected', async () => {
+  const { res } = await authenticate({});
+
+  assert.deepStrictEqual([res.statusCode, res.body], [401, { error: 'Missing API key or GitHub token' }]);
+});
+
+test('pull request numbers must be plain positive integers', async (t) => {
+  const hosts = blockFetch(t);
+  const baseUrl = await listen(t, app);
+
+  for (const number of ['12abc', '-3', '0', '1e3']) {
+    const response = await fetch(`${baseUrl}/api/repos/org/repo/pulls/${number}/review`, {
+      method: 'POST',
+      headers: { 'x-api-key': 'key-one' },
+    });
+    assert.strictEqual(response.status, 400, number);
+  }
+  assert.deepStrictEqual(hosts, []);
+});
+
+test('API keys read stored history of repositories the app is no longer installed on', async (t) => {
+  await recordReviewRun({ kind: 'review', repository: 'org/uninstalled', pr_number: 4, head_sha: 'aaa', status: 'success', raw_output: '{}' });
+  const baseUrl = await listen(t, app);
+  const hosts = blockFetch(t);
+
+  const list = await fetch(`${baseUrl}/api/reviews?repo=org/uninstalled`, { headers: { 'x-api-key': 'key-one' } });
+  const { reviews } = await list.json();
+  const run = await fetch(`${baseUrl}/api/reviews/${reviews[0].id}`, { headers: { 'x-api-key': 'key-one' } });
+
+  assert.strictEqual(list.status, 200);
+  assert.strictEqual(run.status, 200);
+  assert.strictEqual((await run.json()).raw_output, '{}');
+  assert.deepStrictEqual(hosts, []);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, repository, fakeOctokit, jsonResponse } = require('./helpers');
+
+const { appIdentity, getAppBotLogin, findBotComments, upsertBotComment } = loadApp();
+
+const commentConfig = { update_existing: true, history_limit: 5, minimize_outdated: false };
+
+// Comments on a PR: ours (by app ID and by login), another app's bot and a person quoting the marker
+const prComments = [
+  { id: 1, body: '<!-- ai-pr-review:review -->\nFirst run', user: { login: 'ai-review[bot]', type: 'Bot' }, performed_via_github_app: { id: 1 } },
+  { id: 2, body: '<!-- ai-pr-review:review -->\nCopied', user: { login: 'other-ai[bot]', type: 'Bot' }, performed_via_github_app: { id: 99 } },
+  { id: 3, body: '<!-- ai-pr-review:review -->\nSecond run', user: { login: 'ai-review[bot]', type: 'Bot' } },
+  { id: 4, body: '## AI Code Review Results\nLegacy', user: { login: 'renovate[bot]', type: 'Bot' } },
+  { id: 5, body: '<!-- ai-pr-review:review -->\nQuoted', user: { login: 'dev', type: 'User' } },
+];
+
+test.beforeEach(() => {
+  appIdentity.botLogin = 'ai-review[bot]';
+});
+
+test('the bot login is looked up from the app once', async (t) => {
+  appIdentity.botLogin = null;
+  const requests = [];
+  t.mock.method(globalThis, 'fetch', async (url) => {
+    requests.push(new URL(String(url)).pathname);
+    return jsonResponse({ id: 1, slug: 'ai-review' });
+  });
+
+  assert.strictEqual(await getAppBotLogin(), 'ai-review[bot]');
+  assert.strictEqual(await getAppBotLogin(), 'ai-review[bot]');
+  assert.deepStrictEqual(requests, ['/app']);
+});
+
+test('only comments posted by this app are found', async () => {
+  const octokit = fakeOctokit({ 'issues.listComments': () => ({ data: prComments }) });
+
+  const found = await findBotComments(octokit, repository(), 5, 'review');
+
+  assert.deepStrictEqual(found.map(comment => comment.id), [1, 3]);
+});
+
+test('the latest own comment is updated and the previous run kept as history', async () => {
+  const octokit = fakeOctokit({ 'issues.listComments': () => ({ data: prComments }) });
+
+  await upsertBotComment(octokit, repository(), 5, 'review', 'Third run', commentConfig);
+
+  const updates = octokit.calls.filter(([name]) => name === 'issues.updateComment');
+  assert.strictEqual(updates.length, 1);
+  assert.strictEqual(updates[0][1].comment_id, 3);
+  assert.match(updates[0][1].body, /^<!-- ai-pr-review:review -->\nThird run/);
+  assert.match(updates[0][1].body, /Previous runs \(1\)[\s\S]*Second run/);
+  assert.ok(!octokit.calls.some(([name]) => name === 'issues.createComment'));
+});
+
+test('another bot\'s comment is never taken over', async () => {
+  const octokit = fakeOctokit({ 'issues.listComments': () => ({ data: prComments.filter(comment => comment.id === 2) }) });
+
+  await upsertBotComment(octokit, repository(), 5, 'review', 'First run', commentConfig);
+
+  assert.deepStrictEqual(octokit.calls.map(([name]) => name), ['issues.listComments', 'issues.createComment']);
+  assert.strictEqual(octokit.calls[1][1].issue_number, 5);
+});
+
+test('the bot login is not looked up when no comment could be ours', async () => {
+  appIdentity.botLogin = null;
+  const octokit = fakeOctokit({ 'issues.listComments': () => ({ data: [{ id: 6, body: 'LGTM', user: { login: 'dev', type: 'User' } }] }) });
+
+  assert.deepStrictEqual(await findBotComments(octokit, repository(), 5, 'review'), []);
+  assert.strictEqual(appIdentity.botLogin, null);
+});
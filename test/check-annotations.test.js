@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, fakeOctokit } = require('./helpers');
+
+const { updateCheckRunWithAnnotations } = loadApp();
+
+const updateParams = {
+  owner: 'org',
+  repo: 'repo',
+  check_run_id: 7,
+  status: 'completed',
+  conclusion: 'neutral',
+  output: { title: 'AI Review Complete', summary: 'Done', text: 'Review details' },
+};
+
+// Function to build n annotations on consecutive lines
+function annotations(count) {
+  return Array.from({ length: count }, (_, index) => ({
+    path: 'a.js', start_line: index + 1, end_line: index + 1, annotation_level: 'notice', message: `finding ${index}`,
+  }));
+}
+
+test('annotations are sent in batches of 50 with the full output on every update', async () => {
+  const octokit = fakeOctokit();
+
+  await updateCheckRunWithAnnotations(octokit, updateParams, annotations(120));
+
+  const updates = octokit.calls.map(([, params]) => params);
+  assert.deepStrictEqual(updates.map(params => params.output.annotations.length), [50, 50, 20]);
+  updates.forEach(params => {
+    assert.strictEqual(params.check_run_id, 7);
+    assert.strictEqual(params.output.title, 'AI Review Complete');
+    assert.strictEqual(params.output.summary, 'Done');
+    assert.strictEqual(params.output.text, 'Review details');
+  });
+  assert.strictEqual(updates[0].conclusion, 'neutral');
+  assert.strictEqual(updates[1].conclusion, undefined);
+});
+
+test('a check run without annotations is updated once', async () => {
+  const octokit = fakeOctokit();
+
+  await updateCheckRunWithAnnotations(octokit, updateParams, []);
+
+  assert.deepStrictEqual(octokit.calls, [['checks.update', updateParams]]);
+});
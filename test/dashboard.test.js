@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers');
+
+const { summarizeRuns } = loadApp();
+
+test('runs are summarized by status, failure category, duration and verdict', () => {
+  const runs = [
+    { kind: 'review', repository: 'org/b', status: 'success', verdict: 'NEEDS REVIEW', duration_ms: 1000 },
+    { kind: 'review', repository: 'org/b', status: 'success', verdict: 'NEEDS REVIEW', duration_ms: 3000 },
+    { kind: 'merge_check', repository: 'org/a', status: 'success', verdict: 'ready', duration_ms: 500 },
+    { kind: 'review', repository: 'org/a', status: 'failed', error_category: 'timeout', error: 'timed out', duration_ms: null },
+    { kind: 'review', repository: 'org/a', status: 'invalid_output', error: 'bad json' },
+  ];
+
+  const summary = summarizeRuns(runs);
+
+  assert.strictEqual(summary.total, 5);
+  assert.deepStrictEqual(summary.byStatus, { success: 3, failed: 1, invalid_output: 1 });
+  assert.deepStrictEqual(summary.failures.map(entry => [entry.category, entry.count, entry.latestError]),
+    [['timeout', 1, 'timed out'], ['other', 1, 'bad json']]);
+  assert.deepStrictEqual(summary.durations.find(entry => entry.kind === 'review'), { kind: 'review', count: 2, avg: 2000, p95: 3000, max: 3000 });
+  assert.deepStrictEqual(summary.verdicts.map(entry => [entry.repository, entry.kind, entry.total]),
+    [['org/a', 'merge_check', 1], ['org/b', 'review', 2]]);
+});
+
+test('an empty window summarizes to zeros', () => {
+  assert.deepStrictEqual(summarizeRuns([]), { total: 0, byStatus: {}, failures: [], durations: [], verdicts: [] });
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, repository, pullRequestPayload, checkRunPayload, drainQueue } = require('./helpers');
+
+const { JOB_HANDLERS, jobQueue, enqueueJob, getIdempotencyKey, deduplicated } = loadApp();
+
+test('pull request events are keyed by repository, PR, head SHA and action', () => {
+  assert.strictEqual(
+    getIdempotencyKey('pull_request', { ...pullRequestPayload(), action: 'synchronize' }),
+    'org/repo#5@abc123:pull_request.synchronize'
+  );
+  assert.strictEqual(
+    getIdempotencyKey('pull_request', { ...pullRequestPayload(), action: 'labeled', label: { name: 'ai-review' } }),
+    'org/repo#5@abc123:pull_request.labeled:ai-review'
+  );
+});
+
+test('check run actions are keyed by the requested action', () => {
+  const payload = checkRunPayload({ requested_action: { identifier: 'check_merge' } });
+
+  assert.strictEqual(getIdempotencyKey('check_run', payload), 'org/repo#5@abc123:check_run.requested_action:check_merge');
+});
+
+test('events without a head SHA have no idempotency key', () => {
+  assert.strictEqual(getIdempotencyKey('installation', { action: 'created' }), null);
+  assert.strictEqual(getIdempotencyKey('push', { repository: repository() }), null);
+});
+
+test('redelivered and duplicate events are handled once', async () => {
+  const handled = [];
+  const handler = deduplicated(async (event) => { handled.push(event); });
+  const payload = { ...pullRequestPayload(), action: 'reopened' };
+
+  await handler({ id: 'dedup-1', name: 'pull_request', payload });
+  await handler({ id: 'dedup-1', name: 'pull_request', payload });
+  await handler({ id: 'dedup-2', name: 'pull_request', payload });
+  await handler({ id: 'dedup-3', name: 'pull_request', payload: { ...payload, action: 'edited' } });
+
+  assert.deepStrictEqual(handled.map(event => event.id), ['dedup-1', 'dedup-3']);
+  assert.strictEqual(handled[0].idempotencyKey, 'org/repo#5@abc123:pull_request.reopened');
+});
+
+test('a failed job frees its idempotency key so the work can be requested again', async (t) => {
+  const original = JOB_HANDLERS.review_pr;
+  t.after(() => { JOB_HANDLERS.review_pr = original; });
+
+  const outcomes = ['fail', 'succeed'];
+  const runs = [];
+  JOB_HANDLERS.review_pr = async () => {
+    const outcome = outcomes.shift();
+    runs.push(outcome);
+    if (outcome === 'fail') {
+      throw new Error('Bad request');
+    }
+  };
+
+  const handler = deduplicated(async ({ payload, idempotencyKey }) => {
+    enqueueJob('review_pr', payload, { idempotencyKey });
+  });
+  const payload = checkRunPayload({ check_run: { ...checkRunPayload().check_run, head_sha: 'def456' } });
+
+  await handler({ id: 'retry-1', name: 'check_run', payload });
+  await drainQueue(jobQueue);
+  await handler({ id: 'retry-2', name: 'check_run', payload });
+  await drainQueue(jobQueue);
+  await handler({ id: 'retry-3', name: 'check_run', payload });
+  await drainQueue(jobQueue);
+
+  assert.deepStrictEqual(runs, ['fail', 'succeed']);
+});
@@ -0,0 +1,152 @@
+// Shared test setup: loads app.js with a throwaway GitHub App key and in-memory stores.
+// app.js only starts the server when run directly, so requiring it opens no port.
+const crypto = require('crypto');
+const { once } = require('events');
+
+let loaded = null;
+
+// Function to load app.js once per test process with test-friendly settings
+function loadApp(env = {}) {
+  if (loaded) {
+    return loaded;
+  }
+
+  const { privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs1', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+  });
+
+  Object.assign(process.env, {
+    GITHUB_PRIVATE_KEY: privateKey,
+    GITHUB_APP_ID: '1',
+    GITHUB_INSTALLATION_ID: '2',
+    GITHUB_WEBHOOK_SECRET: 'test-secret',
+    REVIEW_HISTORY_STORE: 'memory',
+    LOG_LEVEL: 'error',
+    METRICS_DEFAULT: 'false',
+    ...env,
+  });
+
+  loaded = require('../app');
+  return loaded;
+}
+
+// Function to build the repository object webhook payloads carry
+function repository(name = 'repo') {
+  return { name, owner: { login: 'org' } };
+}
+
+// Function to build a minimal pull request payload
+function pullRequestPayload(overrides = {}) {
+  return {
+    action: 'opened',
+    repository: repository(),
+    installation: { id: 2 },
+    pull_request: { number: 5, title: 'Change', head: { sha: 'abc123', ref: 'feature' }, base: { ref: 'main' }, labels: [] },
+    ...overrides,
+  };
+}
+
+// Function to build a minimal check_run.requested_action payload for PR #5
+function checkRunPayload(overrides = {}) {
+  return {
+    action: 'requested_action',
+    repository: repository(),
+    installation: { id: 2 },
+    check_run: { id: 42, head_sha: 'abc123', pull_requests: [{ number: 5 }] },
+    requested_action: { identifier: 'review_pr' },
+    ...overrides,
+  };
+}
+
+// Function to build a PR file whose patch has one hunk of roughly each given size
+function prFile(filename, hunkSizes, extra = {}) {
+  const patch = hunkSizes
+    .map((size, index) => {
+      const header = `@@ -${index * 10 + 1},1 +${index * 10 + 1},1 @@`;
+      return `${header}\n+${'x'.repeat(Math.max(0, size - header.length - 2))}`;
+    })
+    .join('\n');
+  return { filename, status: 'modified', additions: 10, deletions: 0, changes: 10, patch, ...extra };
+}
+
+// Function to answer repos.getContent with a file's base64 content
+function fileContent(text) {
+  return { data: { type: 'file', content: Buffer.from(text).toString('base64'), encoding: 'base64' } };
+}
+
+// Function to create a fake Octokit whose REST methods answer from a handler map and
+// record every call as [name, params]
+function fakeOctokit(handlers = {}) {
+  const calls = [];
+  const rest = new Proxy({}, {
+    get: (_, namespace) => new Proxy({}, {
+      get: (__, method) => async (params) => {
+        const name = `${String(namespace)}.${String(method)}`;
+        calls.push([name, params]);
+        return handlers[name] ? handlers[name](params) : { data: {} };
+      },
+    }),
+  });
+
+  return { rest, calls, paginate: async (fn, params) => (await fn(params)).data };
+}
+
+// Function to make getOctokit hand out a fake client for an installation
+function useFakeOctokit(app, installationId, octokit) {
+  app.installationTokens.set(installationId, { token: 'fake-token', expiresAt: Date.now() + 3600 * 1000 });
+  app.installationClients.set(installationId, { octokit, token: 'fake-token' });
+}
+
+// Function to build the error Octokit throws for a failed request
+function apiError(status, message = `HTTP ${status}`) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Function to throw the error Octokit throws for a missing resource
+function notFound() {
+  throw apiError(404, 'Not Found');
+}
+
+// Function to build the JSON response a mocked fetch answers with
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+}
+
+// Function to wait until pending promise callbacks have run
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+// Function to serve the Express app on a free port for the rest of a test; returns its base URL
+async function listen(t, app) {
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+// Function to wait until the job queue has nothing pending or running
+async function drainQueue(jobQueue) {
+  for (let i = 0; i < 200 && (jobQueue.pending.length > 0 || jobQueue.running.size > 0); i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+module.exports = {
+  loadApp,
+  repository,
+  pullRequestPayload,
+  checkRunPayload,
+  prFile,
+  fileContent,
+  fakeOctokit,
+  useFakeOctokit,
+  apiError,
+  notFound,
+  jsonResponse,
+  flush,
+  listen,
+  drainQueue,
+};
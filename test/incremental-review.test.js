@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, repository, fakeOctokit } = require('./helpers');
+
+const { createMemoryHistoryStore, recordReviewRun, getIncrementalReviewScope, carryForwardFindings } = loadApp();
+
+test('the fullScope filter skips scoped review runs', async () => {
+  const store = createMemoryHistoryStore();
+  await store.recordRun({ kind: 'review', repository: 'org/repo', pr_number: 1, head_sha: 'aaa', status: 'success' });
+  await store.recordRun({ kind: 'review', repository: 'org/repo', pr_number: 1, head_sha: 'bbb', status: 'success', review_scope: 'src/' });
+
+  assert.strictEqual((await store.getLatestRun({ prNumber: 1 })).head_sha, 'bbb');
+  assert.strictEqual((await store.getLatestRun({ prNumber: 1, fullScope: true })).head_sha, 'aaa');
+});
+
+test('a scoped review does not move the incremental base', async () => {
+  await recordReviewRun({ kind: 'review', repository: 'org/repo', pr_number: 11, head_sha: 'aaa', status: 'success', review_scope: null });
+  await recordReviewRun({ kind: 'review', repository: 'org/repo', pr_number: 11, head_sha: 'bbb', status: 'success', review_scope: 'src/' });
+  const octokit = fakeOctokit({
+    'repos.compareCommits': () => ({ data: { status: 'ahead', files: [{ filename: 'a.js' }] } }),
+  });
+
+  const scope = await getIncrementalReviewScope(octokit, repository(), 11, 'ccc');
+
+  assert.strictEqual(scope.previousHeadSha, 'aaa');
+  assert.deepStrictEqual(octokit.calls, [['repos.compareCommits', { owner: 'org', repo: 'repo', base: 'aaa', head: 'ccc' }]]);
+});
+
+test('only scoped reviews so far means a full review', async () => {
+  await recordReviewRun({ kind: 'review', repository: 'org/repo', pr_number: 12, head_sha: 'bbb', status: 'success', review_scope: 'src/' });
+  const octokit = fakeOctokit({
+    'issues.listComments': () => ({ data: [] }),
+  });
+
+  assert.strictEqual(await getIncrementalReviewScope(octokit, repository(), 12, 'ccc'), null);
+  assert.ok(!octokit.calls.some(([name]) => name === 'repos.compareCommits'));
+});
+
+test('a compare listing 300 files may be truncated and means a full review', async () => {
+  await recordReviewRun({ kind: 'review', repository: 'org/repo', pr_number: 13, head_sha: 'aaa', status: 'success', review_scope: null });
+  const files = Array.from({ length: 300 }, (_, index) => ({ filename: `src/file-${index}.js` }));
+  const octokit = fakeOctokit({
+    'repos.compareCommits': () => ({ data: { status: 'ahead', files } }),
+  });
+
+  assert.strictEqual(await getIncrementalReviewScope(octokit, repository(), 13, 'bbb'), null);
+});
+
+test('findings on files the increment did not touch are carried forward', () => {
+  const previous = [
+    { path: 'src/a.js', line: 3, severity: 'major', message: 'Unchecked error' },
+    { path: 'src/b.js', line: 9, severity: 'minor', message: 'Fixed since' },
+    { path: 'src/removed.js', line: 1, severity: 'minor', message: 'File left the PR' },
+    'Free-text finding',
+  ];
+  const latest = [{ path: './src/b.js', line: 12, severity: 'info', message: 'New remark' }];
+  const changed = [{ filename: 'src/b.js' }];
+  const prFiles = [{ filename: 'src/a.js' }, { filename: 'src/b.js' }];
+
+  const open = carryForwardFindings(previous, latest, changed, prFiles);
+
+  assert.deepStrictEqual(open.map(finding => finding.message), ['New remark', 'Unchecked error']);
+});
+
+test('a finding reported again is not carried forward twice', () => {
+  const finding = { path: 'src/a.js', line: 3, severity: 'major', message: 'Unchecked error' };
+
+  const open = carryForwardFindings([finding], [{ ...finding, message: 'unchecked error ' }], [], [{ filename: 'src/a.js' }]);
+
+  assert.strictEqual(open.length, 1);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers');
+
+const { anchorFindings } = loadApp();
+
+// New-file lines 10-13 are in the diff; old line 11 was removed
+const files = [{
+  filename: 'src/app.js',
+  patch: '@@ -10,3 +10,4 @@\n context\n-removed\n+added one\n+added two\n context',
+}];
+
+test('findings on diff lines become inline comments', () => {
+  const { comments, unanchored } = anchorFindings([
+    { path: './src/app.js', line: 11, severity: 'major', message: 'Null check missing' },
+  ], files, 10);
+
+  assert.deepStrictEqual(unanchored, []);
+  assert.strictEqual(comments.length, 1);
+  assert.deepStrictEqual(
+    { path: comments[0].path, line: comments[0].line, side: comments[0].side },
+    { path: 'src/app.js', line: 11, side: 'RIGHT' }
+  );
+  assert.match(comments[0].body, /Null check missing/);
+});
+
+test('findings outside the diff, in other files or without a line stay in the summary', () => {
+  const findings = [
+    { path: 'src/app.js', line: 40, message: 'Outside the diff' },
+    { path: 'src/other.js', line: 11, message: 'Other file' },
+    { path: 'src/app.js', message: 'No line' },
+  ];
+
+  const { comments, unanchored } = anchorFindings(findings, files, 10);
+
+  assert.deepStrictEqual(comments, []);
+  assert.deepStrictEqual(unanchored, findings);
+});
+
+test('multi-line ranges are kept only when every line is in the diff', () => {
+  const { comments } = anchorFindings([
+    { path: 'src/app.js', start_line: 10, line: 12, message: 'Range inside the diff' },
+    { path: 'src/app.js', start_line: 5, line: 12, message: 'Range starting before the diff' },
+  ], files, 10);
+
+  assert.deepStrictEqual([comments[0].start_line, comments[0].start_side], [10, 'RIGHT']);
+  assert.strictEqual(comments[1].start_line, undefined);
+});
+
+test('findings beyond the inline comment limit stay in the summary', () => {
+  const findings = [10, 11, 12].map(line => ({ path: 'src/app.js', line, message: `Line ${line}` }));
+
+  const { comments, unanchored } = anchorFindings(findings, files, 2);
+
+  assert.deepStrictEqual(comments.map(comment => comment.line), [10, 11]);
+  assert.deepStrictEqual(unanchored, [findings[2]]);
+});
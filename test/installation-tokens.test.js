@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, jsonResponse, flush } = require('./helpers');
+
+const { resolveInstallationId, getOctokit, getInstallationToken, installationTokens } = loadApp();
+
+// Function to answer GitHub's installation token endpoint, numbering the tokens it issues
+function mockTokenEndpoint(t, expiresInMs = 3600 * 1000) {
+  const issued = [];
+  t.mock.method(globalThis, 'fetch', async (url) => {
+    const [, installationId] = String(url).match(/\/app\/installations\/(\d+)\/access_tokens$/);
+    const token = `token-${installationId}-${issued.length + 1}`;
+    issued.push(token);
+    return jsonResponse({ token, expires_at: new Date(Date.now() + expiresInMs).toISOString() }, 201);
+  });
+  return issued;
+}
+
+test('the installation comes from the webhook payload, with the env var as fallback', () => {
+  assert.strictEqual(resolveInstallationId({ installation: { id: 77 } }), 77);
+  assert.strictEqual(resolveInstallationId({}), 2);
+  assert.throws(() => resolveInstallationId({ installation: { id: 'abc' } }), /Invalid installation ID/);
+});
+
+test('clients are cached per installation', async (t) => {
+  const issued = mockTokenEndpoint(t);
+
+  const first = await getOctokit(101);
+  const again = await getOctokit(101);
+  const other = await getOctokit(102);
+
+  assert.strictEqual(first, again);
+  assert.notStrictEqual(first, other);
+  assert.deepStrictEqual(issued, ['token-101-1', 'token-102-2']);
+});
+
+test('an expired token is replaced before it is used', async (t) => {
+  const issued = mockTokenEndpoint(t);
+  installationTokens.set(103, { token: 'expiring', expiresAt: Date.now() + 1000 });
+
+  const { token } = await getInstallationToken(103);
+
+  assert.strictEqual(token, 'token-103-1');
+  assert.deepStrictEqual(issued, ['token-103-1']);
+});
+
+test('a token inside the refresh margin is served while a new one is fetched', async (t) => {
+  mockTokenEndpoint(t);
+  installationTokens.set(104, { token: 'still-valid', expiresAt: Date.now() + 120 * 1000 });
+
+  const { token } = await getInstallationToken(104);
+  for (let tick = 0; tick < 20 && installationTokens.get(104).token === 'still-valid'; tick++) {
+    await flush();
+  }
+
+  assert.strictEqual(token, 'still-valid');
+  assert.strictEqual(installationTokens.get(104).token, 'token-104-1');
+});
+
+test('concurrent lookups share one token request', async (t) => {
+  const issued = mockTokenEndpoint(t);
+
+  const tokens = await Promise.all([105, 105, 105].map(id => getInstallationToken(id)));
+
+  assert.deepStrictEqual(tokens.map(entry => entry.token), ['token-105-1', 'token-105-1', 'token-105-1']);
+  assert.strictEqual(issued.length, 1);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, repository, pullRequestPayload, checkRunPayload, flush, drainQueue } = require('./helpers');
+
+const { CONFIG, JOB_HANDLERS, jobQueue, enqueueJob, getJobKey } = loadApp();
+
+test('getJobKey serializes work per pull request', () => {
+  assert.strictEqual(getJobKey(pullRequestPayload()), 'org/repo#5');
+  assert.strictEqual(getJobKey(checkRunPayload({ check_run: { head_sha: 'abc', pull_requests: [{ number: 7 }] } })), 'org/repo#7');
+  assert.strictEqual(getJobKey(checkRunPayload({ check_run: { head_sha: 'abc', pull_requests: [] } })), 'org/repo@abc');
+  assert.strictEqual(getJobKey({ repository: repository(), issue: { number: 9 } }), 'org/repo#9');
+});
+
+test('jobs for the same pull request run one at a time', async (t) => {
+  const original = JOB_HANDLERS.add_review_button;
+  t.after(() => { JOB_HANDLERS.add_review_button = original; });
+
+  let running = 0;
+  let maxRunning = 0;
+  JOB_HANDLERS.add_review_button = async () => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    running--;
+  };
+
+  enqueueJob('add_review_button', pullRequestPayload());
+  enqueueJob('add_review_button', pullRequestPayload());
+  await drainQueue(jobQueue);
+
+  assert.strictEqual(maxRunning, 1);
+});
+
+test('retryable failures are retried and then dead-lettered', async (t) => {
+  const original = JOB_HANDLERS.review_pr;
+  const retryBaseDelay = CONFIG.queue.retryBaseDelay;
+  t.after(() => {
+    JOB_HANDLERS.review_pr = original;
+    CONFIG.queue.retryBaseDelay = retryBaseDelay;
+  });
+
+  CONFIG.queue.retryBaseDelay = 1;
+  let attempts = 0;
+  JOB_HANDLERS.review_pr = async () => {
+    attempts++;
+    const error = new Error('Langflow timeout');
+    error.retryable = true;
+    throw error;
+  };
+
+  const job = enqueueJob('review_pr', pullRequestPayload({ pull_request: { ...pullRequestPayload().pull_request, number: 6 } }));
+  await drainQueue(jobQueue);
+  await flush();
+
+  assert.strictEqual(attempts, CONFIG.queue.maxAttempts);
+  const deadLetter = jobQueue.deadLetters.find(entry => entry.id === job.id);
+  assert.ok(deadLetter);
+  assert.strictEqual(deadLetter.lastError, 'Langflow timeout');
+});
+
+test('non-retryable failures are dead-lettered after one attempt', async (t) => {
+  const original = JOB_HANDLERS.check_merge;
+  t.after(() => { JOB_HANDLERS.check_merge = original; });
+
+  let attempts = 0;
+  JOB_HANDLERS.check_merge = async () => {
+    attempts++;
+    throw new Error('Bad request');
+  };
+
+  const job = enqueueJob('check_merge', pullRequestPayload({ pull_request: { ...pullRequestPayload().pull_request, number: 8 } }));
+  await drainQueue(jobQueue);
+
+  assert.strictEqual(attempts, 1);
+  assert.ok(jobQueue.deadLetters.some(entry => entry.id === job.id));
+});
+
+test('enqueueJob rejects unknown job types', () => {
+  assert.throws(() => enqueueJob('nope', pullRequestPayload()), /Unknown job type/);
+});
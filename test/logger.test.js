@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers');
+
+const { redactLogValue } = loadApp();
+
+test('secret fields are redacted at any depth', () => {
+  const redacted = redactLogValue({
+    headers: { Authorization: 'Bearer abc', 'x-api-key': 'key', accept: 'application/json' },
+    github_token: 'value',
+    nested: { clientSecret: 'value', name: 'ok' },
+  });
+
+  assert.deepStrictEqual(redacted, {
+    headers: { Authorization: '[REDACTED]', 'x-api-key': '[REDACTED]', accept: 'application/json' },
+    github_token: '[REDACTED]',
+    nested: { clientSecret: '[REDACTED]', name: 'ok' },
+  });
+});
+
+test('secrets inside strings are redacted', () => {
+  const message = redactLogValue(`token ghp_${'a'.repeat(36)} and Bearer ${'b'.repeat(20)}`);
+
+  assert.ok(!message.includes('a'.repeat(36)));
+  assert.ok(!message.includes('b'.repeat(20)));
+});
+
+test('errors, buffers and circular values are logged safely', () => {
+  const error = Object.assign(new Error('failed'), { status: 502 });
+  const circular = { name: 'loop' };
+  circular.self = circular;
+
+  const redacted = redactLogValue({ error, body: Buffer.from('abc'), circular });
+
+  assert.deepStrictEqual([redacted.error.name, redacted.error.message, redacted.error.status], ['Error', 'failed', 502]);
+  assert.strictEqual(redacted.body, '[Buffer 3 bytes]');
+  assert.strictEqual(redacted.circular.self, '[Circular]');
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, repository, fakeOctokit, apiError } = require('./helpers');
+
+const { collectMergeSignals } = loadApp();
+
+const pr = { number: 5, head: { sha: 'abc123' }, base: { ref: 'main' } };
+const ownCheckRun = { id: 9, app: { id: 1 } };
+
+test('CI, reviews and branch protection are summarized together', async () => {
+  const octokit = fakeOctokit({
+    'repos.getCombinedStatusForRef': () => ({ data: { statuses: [{ context: 'ci/lint', state: 'success' }] } }),
+    'checks.listForRef': () => ({
+      data: [
+        { id: 9, name: 'AI Merge Check', status: 'in_progress', app: { id: 1 } },
+        { id: 10, name: 'tests', status: 'completed', conclusion: 'failure', app: { id: 2 } },
+        { id: 11, name: 'build', status: 'in_progress', app: { id: 2 } },
+      ],
+    }),
+    'pulls.listReviews': () => ({
+      data: [
+        { user: { login: 'ann' }, state: 'CHANGES_REQUESTED' },
+        { user: { login: 'ann' }, state: 'APPROVED' },
+        { user: { login: 'bob' }, state: 'COMMENTED' },
+        { user: { login: 'cat' }, state: 'CHANGES_REQUESTED' },
+      ],
+    }),
+    'pulls.listRequestedReviewers': () => ({ data: { users: [{ login: 'dan' }], teams: [{ slug: 'core' }] } }),
+    'repos.getBranchProtection': () => ({
+      data: {
+        required_status_checks: { strict: true, contexts: ['tests', 'ci/lint'] },
+        required_pull_request_reviews: { required_approving_review_count: 2 },
+      },
+    }),
+  });
+
+  const signals = await collectMergeSignals(octokit, repository(), pr, ownCheckRun);
+
+  assert.strictEqual(signals.ci.state, 'failure');
+  assert.deepStrictEqual(signals.ci.failing, ['tests']);
+  assert.deepStrictEqual(signals.ci.pending, ['build']);
+  assert.strictEqual(signals.ci.total, 3);
+  assert.deepStrictEqual(signals.reviews.latest, [{ user: 'ann', state: 'APPROVED' }, { user: 'cat', state: 'CHANGES_REQUESTED' }]);
+  assert.strictEqual(signals.reviews.approvals, 1);
+  assert.deepStrictEqual([signals.reviews.requested_reviewers, signals.reviews.requested_teams], [['dan'], ['core']]);
+  assert.deepStrictEqual(signals.branch_protection.missing_required_checks, ['tests']);
+  assert.strictEqual(signals.branch_protection.approvals_missing, 1);
+  assert.strictEqual(signals.branch_protection.require_up_to_date, true);
+  assert.deepStrictEqual(signals.errors, []);
+});
+
+test('passing CI on an unprotected branch', async () => {
+  const octokit = fakeOctokit({
+    'repos.getCombinedStatusForRef': () => ({ data: { statuses: [] } }),
+    'checks.listForRef': () => ({ data: [{ id: 10, name: 'tests', status: 'completed', conclusion: 'skipped' }] }),
+    'pulls.listReviews': () => ({ data: [] }),
+    'pulls.listRequestedReviewers': () => ({ data: { users: [], teams: [] } }),
+    'repos.getBranchProtection': () => { throw apiError(404); },
+  });
+
+  const signals = await collectMergeSignals(octokit, repository(), pr, ownCheckRun);
+
+  assert.strictEqual(signals.ci.state, 'success');
+  assert.deepStrictEqual(signals.branch_protection, { available: true, protected: false });
+});
+
+test('sources that fail are reported and the rest still comes back', async () => {
+  const octokit = fakeOctokit({
+    'repos.getCombinedStatusForRef': () => { throw apiError(500); },
+    'checks.listForRef': () => { throw apiError(502); },
+    'pulls.listReviews': () => ({ data: [] }),
+    'pulls.listRequestedReviewers': () => ({ data: { users: [], teams: [] } }),
+    'repos.getBranchProtection': () => { throw apiError(403); },
+  });
+
+  const signals = await collectMergeSignals(octokit, repository(), pr, ownCheckRun);
+
+  assert.strictEqual(signals.ci.state, 'unknown');
+  assert.deepStrictEqual(signals.errors, ['commit statuses: 500', 'check runs: 502']);
+  assert.strictEqual(signals.branch_protection.available, false);
+  assert.deepStrictEqual(signals.reviews.latest, []);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers');
+
+const { resolveMergeVerdict } = loadApp();
+
+test('a confident ready verdict passes the check', () => {
+  const verdict = resolveMergeVerdict({ verdict: 'ready', blocking_reasons: [], confidence: 0.9, summary: 'Good to go' }, 0.7);
+
+  assert.strictEqual(verdict.verdict, 'ready');
+  assert.strictEqual(verdict.conclusion, 'success');
+  assert.deepStrictEqual(verdict.notes, []);
+});
+
+test('a not ready verdict fails the check with its blocking reasons', () => {
+  const verdict = resolveMergeVerdict({ verdict: 'not_ready', blocking_reasons: ['CI is red'], confidence: 0.95, summary: 'Blocked' }, 0.7);
+
+  assert.strictEqual(verdict.conclusion, 'failure');
+  assert.deepStrictEqual(verdict.blockingReasons, ['CI is red']);
+});
+
+test('uncertain or contradictory verdicts need a human', () => {
+  const contradictory = resolveMergeVerdict({ verdict: 'ready', blocking_reasons: ['Missing tests'], confidence: 0.9 }, 0.7);
+  const unsure = resolveMergeVerdict({ verdict: 'not_ready', blocking_reasons: ['Maybe'], confidence: 0.4 }, 0.7);
+  const silent = resolveMergeVerdict({ verdict: 'ready', blocking_reasons: [] }, 0.7);
+
+  [contradictory, unsure, silent].forEach(verdict => {
+    assert.strictEqual(verdict.verdict, 'needs_human');
+    assert.strictEqual(verdict.conclusion, 'neutral');
+    assert.strictEqual(verdict.notes.length, 1);
+  });
+  assert.strictEqual(unsure.reportedVerdict, 'not_ready');
+});
+
+test('schema v1 results map their ready flag onto a verdict', () => {
+  assert.strictEqual(resolveMergeVerdict({ ready: true }, 0).verdict, 'ready');
+  assert.deepStrictEqual(resolveMergeVerdict({ ready: false, reasons: ['Conflicts'] }, 0).blockingReasons, ['Conflicts']);
+});
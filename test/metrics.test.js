@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, listen } = require('./helpers');
+
+const { app, CONFIG } = loadApp();
+
+// Function to override metrics settings for one test
+function useMetricsConfig(t, values) {
+  const saved = { ...CONFIG.metrics };
+  Object.assign(CONFIG.metrics, values);
+  t.after(() => Object.assign(CONFIG.metrics, saved));
+}
+
+// Function to GET /metrics from a throwaway server
+async function getMetrics(t, headers = {}) {
+  const response = await fetch(`${await listen(t, app)}/metrics`, { headers });
+  return { status: response.status, body: await response.text() };
+}
+
+test('/metrics is disabled when no token is set', async (t) => {
+  useMetricsConfig(t, { token: null, public: false });
+
+  const { status, body } = await getMetrics(t);
+
+  assert.strictEqual(status, 404);
+  assert.match(body, /METRICS_TOKEN/);
+});
+
+test('/metrics can be made public explicitly', async (t) => {
+  useMetricsConfig(t, { token: null, public: true });
+
+  const { status, body } = await getMetrics(t);
+
+  assert.strictEqual(status, 200);
+  assert.match(body, /ai_pr_review_/);
+});
+
+test('/metrics requires the bearer token when one is set', async (t) => {
+  useMetricsConfig(t, { token: 'metrics-secret' });
+
+  assert.strictEqual((await getMetrics(t)).status, 401);
+  assert.strictEqual((await getMetrics(t, { authorization: 'Bearer wrong' })).status, 401);
+  assert.strictEqual((await getMetrics(t, { authorization: 'Bearer metrics-secret' })).status, 200);
+});
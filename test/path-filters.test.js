@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers');
+
+const { filterFilesByPath, filterFilesByScope } = loadApp();
+
+const files = [
+  'src/app.js',
+  'src/app.test.js',
+  'dist/bundle.js',
+  'public/vendor.min.js',
+  'package-lock.json',
+  'docs/guide.md',
+].map(filename => ({ filename }));
+
+// Function to list the filenames a filter kept
+const kept = result => result.files.map(file => file.filename);
+
+test('the default excludes drop lockfiles, build output and minified bundles', () => {
+  const result = filterFilesByPath(files, { use_default_excludes: true });
+
+  assert.deepStrictEqual(kept(result), ['src/app.js', 'src/app.test.js', 'docs/guide.md']);
+  assert.deepStrictEqual(result.excluded.map(entry => entry.filename), ['dist/bundle.js', 'public/vendor.min.js', 'package-lock.json']);
+  result.excluded.forEach(entry => assert.match(entry.reason, /^excluded by `/));
+});
+
+test('the default excludes can be turned off', () => {
+  assert.deepStrictEqual(kept(filterFilesByPath(files, { use_default_excludes: false })), files.map(file => file.filename));
+});
+
+test('include patterns keep only matching files', () => {
+  const result = filterFilesByPath(files, { use_default_excludes: false, include: ['src/**'] });
+
+  assert.deepStrictEqual(kept(result), ['src/app.js', 'src/app.test.js']);
+  assert.strictEqual(result.excluded.find(entry => entry.filename === 'docs/guide.md').reason, 'not matched by any include pattern');
+});
+
+test('excludes win over includes', () => {
+  const result = filterFilesByPath(files, { use_default_excludes: false, include: ['src/**'], exclude: ['*.test.js'] });
+
+  assert.deepStrictEqual(kept(result), ['src/app.js']);
+  assert.strictEqual(result.excluded.find(entry => entry.filename === 'src/app.test.js').reason, 'excluded by `*.test.js`');
+});
+
+test('patterns without a slash match the file name in any directory', () => {
+  assert.deepStrictEqual(kept(filterFilesByPath(files, { use_default_excludes: false, include: ['*.md'] })), ['docs/guide.md']);
+});
+
+test('a review scope keeps a file, a directory or a glob', () => {
+  assert.deepStrictEqual(kept(filterFilesByScope(files, 'src/app.js')), ['src/app.js']);
+  assert.deepStrictEqual(kept(filterFilesByScope(files, './src/')), ['src/app.js', 'src/app.test.js']);
+  assert.deepStrictEqual(kept(filterFilesByScope(files, '**/*.js')), ['src/app.js', 'src/app.test.js', 'dist/bundle.js', 'public/vendor.min.js']);
+
+  const { excluded } = filterFilesByScope(files, 'docs');
+  assert.strictEqual(excluded[0].reason, 'outside the requested `docs` scope');
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, repository, fileContent, fakeOctokit, notFound } = require('./helpers');
+
+const { getDefaultRepoConfig, mergeConfig, parseRepoConfig, loadRepoConfig } = loadApp();
+
+test('mergeConfig deep-merges objects and lets arrays and scalars override', () => {
+  const merged = mergeConfig(
+    { limits: { max_files: 50, max_diff_chars: 60000 }, paths: { exclude: ['a'] } },
+    { limits: { max_files: 10 }, paths: { exclude: ['b'] } }
+  );
+
+  assert.deepStrictEqual(merged, { limits: { max_files: 10, max_diff_chars: 60000 }, paths: { exclude: ['b'] } });
+});
+
+test('parseRepoConfig returns the config for valid YAML', () => {
+  const { config, errors } = parseRepoConfig('limits:\n  max_files: 10\n', { path: '.github/ai-review.yml' });
+
+  assert.strictEqual(errors, undefined);
+  assert.deepStrictEqual(config, { limits: { max_files: 10 } });
+});
+
+test('parseRepoConfig points schema errors at their line', () => {
+  const { errors } = parseRepoConfig('limits:\n  max_files: 10\n  bogus: 1\n', { path: '.github/ai-review.yml' });
+
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].line, 3);
+  assert.match(errors[0].message, /unknown key 'bogus'/);
+});
+
+test('parseRepoConfig reports YAML syntax errors', () => {
+  const { errors } = parseRepoConfig('limits: [\n', { path: '.github/ai-review.yml' });
+  assert.ok(errors.length > 0);
+  assert.strictEqual(errors[0].path, '.github/ai-review.yml');
+});
+
+test('a failing org layer does not discard the repository config', async () => {
+  const octokit = fakeOctokit({
+    'repos.getContent': (params) => {
+      if (params.repo === '.github') {
+        const error = new Error('Resource not accessible by integration');
+        error.status = 403;
+        throw error;
+      }
+      return params.path === '.github/ai-review.yml' ? fileContent('limits:\n  max_files: 7\n') : notFound();
+    },
+  });
+
+  const config = await loadRepoConfig(octokit, repository('layered'), 'main');
+
+  assert.strictEqual(config.limits.max_files, 7);
+  assert.strictEqual(config.limits.max_diff_chars, getDefaultRepoConfig().limits.max_diff_chars);
+});
+
+test('a failing repository layer still applies the org config', async () => {
+  const octokit = fakeOctokit({
+    'repos.getContent': (params) => {
+      if (params.repo === '.github') {
+        return params.path === '.github/ai-review.yml' ? fileContent('limits:\n  max_files: 3\n') : notFound();
+      }
+      const error = new Error('Server Error');
+      error.status = 502;
+      throw error;
+    },
+  });
+
+  const config = await loadRepoConfig(octokit, repository('flaky'), 'main');
+
+  assert.strictEqual(config.limits.max_files, 3);
+});
+
+test('org and repository layers merge with the repository winning', async () => {
+  const octokit = fakeOctokit({
+    'repos.getContent': (params) => {
+      if (params.path !== '.github/ai-review.yml') return notFound();
+      return params.repo === '.github'
+        ? fileContent('limits:\n  max_files: 3\n  max_description_chars: 100\n')
+        : fileContent('limits:\n  max_files: 9\n');
+    },
+  });
+
+  const config = await loadRepoConfig(octokit, repository('merged'), 'main');
+
+  assert.strictEqual(config.limits.max_files, 9);
+  assert.strictEqual(config.limits.max_description_chars, 100);
+});
+
+test('limits.max_patch_chars is still accepted as an alias of max_diff_chars', () => {
+  assert.deepStrictEqual(
+    parseRepoConfig('limits:\n  max_patch_chars: 5000\n', { path: '.github/ai-review.yml' }).config,
+    { limits: { max_diff_chars: 5000 } }
+  );
+  assert.deepStrictEqual(
+    parseRepoConfig('limits:\n  max_patch_chars: 500\n', { path: '.github/ai-review.yml' }).config,
+    { limits: { max_diff_chars: 1000 } }
+  );
+  assert.deepStrictEqual(
+    parseRepoConfig('limits:\n  max_patch_chars: 5000\n  max_diff_chars: 20000\n', { path: '.github/ai-review.yml' }).config,
+    { limits: { max_diff_chars: 20000 } }
+  );
+});
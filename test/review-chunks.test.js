@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, prFile } = require('./helpers');
+
+const { buildReviewChunks, mergeChunkResults } = loadApp();
+
+test('the whole diff is split into chunks that each fit the budget', () => {
+  const files = [prFile('src/a.js', [400, 400, 400]), prFile('src/b.js', [400, 400])];
+
+  const { chunks, report } = buildReviewChunks(files, { max_files: 50, max_diff_chars: 1000 }, { max_chunks: 10 });
+
+  assert.strictEqual(chunks.length, 3);
+  chunks.forEach(chunk => assert.ok(chunk.reduce((total, file) => total + file.patch.length + 1, 0) <= 1000));
+  assert.strictEqual(report.chunkCount, 3);
+  assert.strictEqual(report.overBudget, false);
+  assert.deepStrictEqual(report.reviewed.map(entry => [entry.filename, entry.hunksReviewed]), [['src/a.js', 3], ['src/b.js', 2]]);
+});
+
+test('hunks beyond the chunk limit are dropped and reported', () => {
+  const files = [prFile('src/a.js', [800, 800]), prFile('src/b.js', [800])];
+
+  const { chunks, report } = buildReviewChunks(files, { max_files: 50, max_diff_chars: 1000 }, { max_chunks: 2 });
+
+  assert.strictEqual(chunks.length, 2);
+  assert.strictEqual(report.overBudget, true);
+  assert.deepStrictEqual(report.skipped, [{ filename: 'src/b.js', reason: 'chunk limit (2) reached' }]);
+});
+
+test('a hunk larger than the budget is truncated into a chunk of its own', () => {
+  const { chunks, report } = buildReviewChunks([prFile('src/a.js', [3000])], { max_files: 50, max_diff_chars: 1000 }, { max_chunks: 5 });
+
+  assert.strictEqual(chunks.length, 1);
+  assert.match(chunks[0][0].patch, /\(hunk truncated\)$/);
+  assert.strictEqual(report.reviewed[0].truncatedHunks, 1);
+});
+
+test('chunk results are merged with the worst assessment and without duplicate findings', () => {
+  const finding = { path: 'src/a.js', line: 3, severity: 'minor', message: 'Unused variable' };
+  const merged = JSON.parse(mergeChunkResults([
+    JSON.stringify({ review_assessment: 'PROPERLY REVIEWED', recommendation: 'Looks fine', findings: [finding] }),
+    JSON.stringify({
+      review_assessment: 'NEEDS REVIEW',
+      recommendation: 'Fix the query',
+      findings: [finding, { path: 'src/b.js', line: 9, severity: 'critical', message: 'SQL injection' }],
+    }),
+    'not json at all',
+  ], 0, 3));
+
+  assert.strictEqual(merged.review_assessment, 'NEEDS REVIEW');
+  assert.deepStrictEqual(merged.findings.map(entry => entry.severity), ['critical', 'minor']);
+  assert.match(merged.recommendation, /Looks fine/);
+  assert.match(merged.recommendation, /1 of 3 review chunks failed/);
+});
+
+test('no valid chunk result means nothing to merge', () => {
+  assert.strictEqual(mergeChunkResults(['{}', 'oops'], 0, 2), null);
+});
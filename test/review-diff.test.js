@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, prFile } = require('./helpers');
+
+const { buildReviewDiff } = loadApp();
+
+const limits = { max_files: 50, max_diff_chars: 1000 };
+
+test('small diffs are reviewed whole', () => {
+  const files = [prFile('src/a.js', [100, 100]), prFile('README.md', [100])];
+
+  const { files: reviewed, report } = buildReviewDiff(files, limits);
+
+  assert.deepStrictEqual(reviewed.map(file => file.patch), [files[0].patch, files[1].patch]);
+  assert.strictEqual(report.overBudget, false);
+  assert.deepStrictEqual(report.skipped, []);
+});
+
+test('files without a patch are skipped with a reason', () => {
+  const { report } = buildReviewDiff([{ filename: 'logo.png', status: 'added' }, prFile('a.js', [50])], limits);
+
+  assert.deepStrictEqual(report.skipped, [{ filename: 'logo.png', reason: 'no textual diff (binary, too large or rename only)' }]);
+  assert.strictEqual(report.overBudget, false);
+});
+
+test('risky files are reviewed first and the rest is skipped once the budget runs out', () => {
+  const files = [
+    prFile('package-lock.json', [600]),
+    prFile('docs/guide.md', [600]),
+    prFile('src/auth/session.js', [600]),
+  ];
+
+  const { files: reviewed, report } = buildReviewDiff(files, { max_files: 2, max_diff_chars: 1000 });
+
+  assert.deepStrictEqual(reviewed.map(file => file.filename), ['src/auth/session.js', 'docs/guide.md']);
+  assert.deepStrictEqual(report.skipped, [{ filename: 'package-lock.json', reason: 'file limit (2) reached' }]);
+  assert.strictEqual(report.overBudget, true);
+  assert.ok(report.usedChars <= 1000);
+});
+
+test('the budget is shared fairly: small hunks stay whole, large ones are truncated', () => {
+  const files = [prFile('src/a.js', [100, 2000]), prFile('src/b.js', [2000])];
+
+  const { files: reviewed, report } = buildReviewDiff(files, limits);
+
+  const a = reviewed.find(file => file.filename === 'src/a.js');
+  assert.ok(a.patch.startsWith(files[0].patch.split('\n@@')[0]));
+  assert.strictEqual((a.patch.match(/\(hunk truncated\)/g) || []).length, 1);
+  assert.deepStrictEqual(report.reviewed.map(entry => entry.truncatedHunks).sort(), [1, 1]);
+  assert.ok(report.usedChars <= 1000);
+  assert.strictEqual(report.overBudget, true);
+});
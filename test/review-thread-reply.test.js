@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, repository, pullRequestPayload, fileContent, fakeOctokit, useFakeOctokit, notFound, flush } = require('./helpers');
+
+const app = loadApp();
+const { webhooks, JOB_HANDLERS, getIdempotencyKey, handleReviewThreadReply } = app;
+
+app.appIdentity.botLogin = 'bot[bot]';
+
+// Function to build a pull_request_review_comment.created payload for a thread reply
+function replyPayload(commentId) {
+  return pullRequestPayload({
+    action: 'created',
+    comment: { id: commentId, in_reply_to_id: 100, body: 'Why?', user: { login: 'dev', type: 'User' } },
+  });
+}
+
+test('review comment events get one idempotency key per comment', () => {
+  const first = getIdempotencyKey('pull_request_review_comment', replyPayload(1));
+  const second = getIdempotencyKey('pull_request_review_comment', replyPayload(2));
+
+  assert.notStrictEqual(first, second);
+  assert.match(first, /:comment-1$/);
+});
+
+test('two replies in a row at the same head SHA are both queued', async (t) => {
+  const original = JOB_HANDLERS.review_thread_reply;
+  t.after(() => { JOB_HANDLERS.review_thread_reply = original; });
+
+  const answered = [];
+  JOB_HANDLERS.review_thread_reply = async (payload) => {
+    answered.push(payload.comment.id);
+  };
+
+  await webhooks.receive({ id: 'delivery-1', name: 'pull_request_review_comment', payload: replyPayload(201) });
+  await webhooks.receive({ id: 'delivery-2', name: 'pull_request_review_comment', payload: replyPayload(202) });
+  await flush();
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  assert.deepStrictEqual(answered, [201, 202]);
+});
+
+test('a redelivered reply is still dropped by its delivery ID', async (t) => {
+  const original = JOB_HANDLERS.review_thread_reply;
+  t.after(() => { JOB_HANDLERS.review_thread_reply = original; });
+
+  const answered = [];
+  JOB_HANDLERS.review_thread_reply = async (payload) => {
+    answered.push(payload.comment.id);
+  };
+
+  await webhooks.receive({ id: 'delivery-3', name: 'pull_request_review_comment', payload: replyPayload(203) });
+  await webhooks.receive({ id: 'delivery-3', name: 'pull_request_review_comment', payload: replyPayload(203) });
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  assert.deepStrictEqual(answered, [203]);
+});
+
+test('replies from commenters without write permission are not answered', async () => {
+  const octokit = fakeOctokit({
+    'repos.getCollaboratorPermissionLevel': () => ({ data: { permission: 'read' } }),
+  });
+  useFakeOctokit(app, 2, octokit);
+
+  await handleReviewThreadReply(replyPayload(301));
+
+  assert.deepStrictEqual(octokit.calls.map(([name]) => name), ['repos.getCollaboratorPermissionLevel']);
+  assert.strictEqual(octokit.calls[0][1].username, 'dev');
+});
+
+test('replies from collaborators with write permission are looked at', async () => {
+  const octokit = fakeOctokit({
+    'repos.getCollaboratorPermissionLevel': () => ({ data: { permission: 'write' } }),
+    'pulls.getReviewComment': () => ({ data: { id: 100, body: 'human comment', user: { login: 'someone', type: 'User' } } }),
+  });
+  useFakeOctokit(app, 2, octokit);
+
+  await handleReviewThreadReply(replyPayload(302));
+
+  assert.deepStrictEqual(octokit.calls.map(([name]) => name), ['repos.getCollaboratorPermissionLevel', 'pulls.getReviewComment']);
+});
+
+test('a reply under an invalid repository config gets the config errors as answer', async () => {
+  const octokit = fakeOctokit({
+    'repos.getCollaboratorPermissionLevel': () => ({ data: { permission: 'admin' } }),
+    'pulls.getReviewComment': () => ({ data: { id: 100, body: '<!-- ai-pr-review:finding -->\nFinding', user: { login: 'bot[bot]', type: 'Bot' } } }),
+    'repos.getContent': (params) => (params.repo === 'broken' && params.path === '.github/ai-review.yml'
+      ? fileContent('flows: 12\n')
+      : notFound()),
+  });
+  useFakeOctokit(app, 2, octokit);
+
+  const payload = replyPayload(303);
+  payload.repository = repository('broken');
+  await handleReviewThreadReply(payload);
+
+  const reply = octokit.calls.find(([name]) => name === 'pulls.createReplyForReviewComment');
+  assert.ok(reply);
+  assert.strictEqual(reply[1].comment_id, 100);
+  assert.match(reply[1].body, /is invalid/);
+});
+
+test('threads started by another app\'s bot are not answered', async () => {
+  const octokit = fakeOctokit({
+    'repos.getCollaboratorPermissionLevel': () => ({ data: { permission: 'write' } }),
+    'pulls.getReviewComment': () => ({ data: { id: 100, body: '<!-- ai-pr-review:finding -->\nFinding', user: { login: 'other-ai[bot]', type: 'Bot' } } }),
+  });
+  useFakeOctokit(app, 2, octokit);
+
+  await handleReviewThreadReply(replyPayload(304));
+
+  assert.deepStrictEqual(octokit.calls.map(([name]) => name), ['repos.getCollaboratorPermissionLevel', 'pulls.getReviewComment']);
+});
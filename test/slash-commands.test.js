@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, repository, pullRequestPayload, fileContent, fakeOctokit, useFakeOctokit, notFound } = require('./helpers');
+
+const app = loadApp({ LANGFLOW_EXPLAIN_FLOW_ID: 'explain-flow' });
+const { JOB_HANDLERS, parseSlashCommand, handleExplainCommand, fetchCodeExcerpt } = app;
+
+// Function to build an issue_comment.created payload for a slash command
+function commandPayload(body, repo = 'repo') {
+  return {
+    action: 'created',
+    repository: repository(repo),
+    installation: { id: 2 },
+    issue: { number: 5, pull_request: {} },
+    comment: { id: 900, body, user: { login: 'dev', type: 'User' } },
+  };
+}
+
+// A PR opened from a fork the installation cannot read
+const forkPullRequest = {
+  ...pullRequestPayload().pull_request,
+  head: { sha: 'forksha', ref: 'feature', repo: { name: 'repo', owner: { login: 'contributor' } } },
+};
+
+test('parseSlashCommand reads the command and its arguments', () => {
+  const parsed = parseSlashCommand('/ai-explain src/app.js:12 why?');
+  assert.strictEqual(parsed.command, 'ai-explain');
+  assert.deepStrictEqual(parsed.args, ['src/app.js:12', 'why?']);
+  assert.strictEqual(parseSlashCommand('no command here'), null);
+});
+
+test('/ai-explain from a commenter with read permission is ignored', async () => {
+  const octokit = fakeOctokit({
+    'repos.getCollaboratorPermissionLevel': () => ({ data: { permission: 'read' } }),
+  });
+  useFakeOctokit(app, 2, octokit);
+
+  await JOB_HANDLERS.slash_command(commandPayload('/ai-explain src/app.js:9'));
+
+  assert.deepStrictEqual(octokit.calls.map(([name]) => name), ['repos.getCollaboratorPermissionLevel', 'reactions.createForIssueComment']);
+  assert.strictEqual(octokit.calls[1][1].content, '-1');
+});
+
+test('/ai-explain reads fork PR code from the base repository at the head SHA', async () => {
+  const octokit = fakeOctokit({
+    'repos.getContent': (params) => (params.path === 'src/app.js'
+      ? fileContent('a\nb\nc\n')
+      : notFound()),
+  });
+
+  await handleExplainCommand(octokit, commandPayload('/ai-explain src/app.js:9'), forkPullRequest, 'src/app.js', 9);
+
+  const excerptCall = octokit.calls.find(([name, params]) => name === 'repos.getContent' && params.path === 'src/app.js');
+  assert.deepStrictEqual(excerptCall[1], { owner: 'org', repo: 'repo', path: 'src/app.js', ref: 'forksha' });
+});
+
+// Function to fetch the body of the single comment an explain run posted
+function postedReply(octokit) {
+  const replies = octokit.calls.filter(([name]) => name === 'issues.createComment');
+  assert.strictEqual(replies.length, 1);
+  return replies[0][1].body;
+}
+
+test('fetchCodeExcerpt numbers the lines around the requested line', async () => {
+  const content = Array.from({ length: 30 }, (_, index) => `line ${index + 1}`).join('\n');
+  const octokit = fakeOctokit({
+    'repos.getContent': () => fileContent(content),
+  });
+
+  const excerpt = await fetchCodeExcerpt(octokit, 'org', 'repo', 'a.js', 'sha', 25);
+
+  assert.strictEqual(excerpt.lineCount, 30);
+  assert.match(excerpt.code, /^5 {3}line 5/);
+  assert.match(excerpt.code, /^25 > line 25$/m);
+});
+
+test('fetchCodeExcerpt reports directories and submodules instead of throwing', async () => {
+  const directory = fakeOctokit({ 'repos.getContent': () => ({ data: [{ name: 'a.js', type: 'file' }] }) });
+  const submodule = fakeOctokit({ 'repos.getContent': () => ({ data: { type: 'submodule', submodule_git_url: 'git://x' } }) });
+  const missing = fakeOctokit({ 'repos.getContent': notFound });
+
+  assert.deepStrictEqual(await fetchCodeExcerpt(directory, 'org', 'repo', 'src', 'sha', 1), { unavailable: 'dir' });
+  assert.deepStrictEqual(await fetchCodeExcerpt(submodule, 'org', 'repo', 'lib/x', 'sha', 1), { unavailable: 'submodule' });
+  assert.strictEqual(await fetchCodeExcerpt(missing, 'org', 'repo', 'nope.js', 'sha', 1), null);
+});
+
+test('/ai-explain on a directory replies with a clear message', async () => {
+  const octokit = fakeOctokit({
+    'repos.getContent': (params) => (params.path === 'src' ? { data: [] } : notFound()),
+  });
+
+  await handleExplainCommand(octokit, commandPayload('/ai-explain src:3'), forkPullRequest, 'src', 3);
+
+  assert.match(postedReply(octokit), /`src` is a directory/);
+});
+
+test('/ai-explain with an invalid repository config replies with the config errors', async () => {
+  const octokit = fakeOctokit({
+    'repos.getContent': (params) => (params.repo === 'broken' && params.path === '.github/ai-review.yml'
+      ? fileContent('unknown_setting: true\n')
+      : notFound()),
+  });
+
+  await handleExplainCommand(octokit, commandPayload('/ai-explain src/app.js:1', 'broken'), forkPullRequest, 'src/app.js', 1);
+
+  const reply = postedReply(octokit);
+  assert.match(reply, /configuration in `org\/broken:\.github\/ai-review\.yml` is invalid/);
+  assert.ok(!octokit.calls.some(([name, params]) => name === 'repos.getContent' && params.path === 'src/app.js'));
+});
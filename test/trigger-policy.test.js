@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, fakeOctokit, pullRequestPayload } = require('./helpers');
+
+const { getAutoReviewReason } = loadApp();
+
+// Function to build a trigger policy on top of the defaults
+function policy(overrides) {
+  return { mode: 'manual', labels: [], paths: [], branches: [], skip_drafts: true, skip_bots: false, ...overrides };
+}
+
+// Function to build a pull_request event with PR overrides
+function prEvent(action, pullRequest = {}, extra = {}) {
+  const payload = pullRequestPayload({ action, ...extra });
+  payload.pull_request = { ...payload.pull_request, ...pullRequest };
+  return payload;
+}
+
+test('manual mode never reviews automatically', async () => {
+  assert.strictEqual(await getAutoReviewReason(fakeOctokit(), prEvent('opened'), policy({ mode: 'manual' })), null);
+});
+
+test('each mode reviews on its own set of actions', async () => {
+  const octokit = fakeOctokit();
+
+  assert.strictEqual(await getAutoReviewReason(octokit, prEvent('opened'), policy({ mode: 'on_open' })), 'trigger mode `on_open`');
+  assert.strictEqual(await getAutoReviewReason(octokit, prEvent('ready_for_review'), policy({ mode: 'on_open' })), 'trigger mode `on_open`');
+  assert.strictEqual(await getAutoReviewReason(octokit, prEvent('synchronize'), policy({ mode: 'on_open' })), null);
+  assert.strictEqual(await getAutoReviewReason(octokit, prEvent('synchronize'), policy({ mode: 'on_push' })), 'trigger mode `on_push`');
+});
+
+test('drafts are skipped unless skip_drafts is off', async () => {
+  const draft = prEvent('opened', { draft: true });
+
+  assert.strictEqual(await getAutoReviewReason(fakeOctokit(), draft, policy({ mode: 'on_open' })), null);
+  assert.strictEqual(await getAutoReviewReason(fakeOctokit(), draft, policy({ mode: 'on_open', skip_drafts: false })), 'trigger mode `on_open`');
+});
+
+test('on_match reviews when a configured label is added or present', async () => {
+  const octokit = fakeOctokit();
+  const labels = policy({ mode: 'on_match', labels: ['ai-review'] });
+
+  assert.strictEqual(await getAutoReviewReason(octokit, prEvent('labeled', {}, { label: { name: 'ai-review' } }), labels), 'label `ai-review`');
+  assert.strictEqual(await getAutoReviewReason(octokit, prEvent('labeled', { labels: [{ name: 'ai-review' }] }, { label: { name: 'bug' } }), labels), null);
+  assert.strictEqual(await getAutoReviewReason(octokit, prEvent('synchronize', { labels: [{ name: 'ai-review' }] }), labels), 'label `ai-review`');
+  assert.deepStrictEqual(octokit.calls, []);
+});
+
+test('on_match reviews when a changed file matches a configured path', async () => {
+  const octokit = fakeOctokit({ 'pulls.listFiles': () => ({ data: [{ filename: 'docs/a.md' }, { filename: 'src/db/query.js' }] }) });
+
+  assert.strictEqual(
+    await getAutoReviewReason(octokit, prEvent('opened'), policy({ mode: 'on_match', paths: ['src/db/**'] })),
+    '`src/db/query.js` matches `src/db/**`'
+  );
+  assert.strictEqual(await getAutoReviewReason(octokit, prEvent('opened'), policy({ mode: 'on_match', paths: ['infra/**'] })), null);
+});
+
+test('only pull requests into the configured base branches are reviewed', async () => {
+  const branches = policy({ mode: 'on_open', branches: ['main', 'release/*'] });
+
+  assert.strictEqual(await getAutoReviewReason(fakeOctokit(), prEvent('opened'), branches), 'trigger mode `on_open`');
+  assert.strictEqual(await getAutoReviewReason(fakeOctokit(), prEvent('opened', { base: { ref: 'release/1.2' } }), branches), 'trigger mode `on_open`');
+  assert.strictEqual(await getAutoReviewReason(fakeOctokit(), prEvent('opened', { base: { ref: 'develop' } }), branches), null);
+  assert.strictEqual(await getAutoReviewReason(fakeOctokit(), prEvent('opened', { base: { ref: 'feature/main' } }), branches), null);
+});
+
+test('pull requests opened by bots are skipped when skip_bots is on', async () => {
+  const botPr = prEvent('opened', { user: { login: 'dependabot[bot]', type: 'Bot' } });
+  const humanPr = prEvent('opened', { user: { login: 'dev', type: 'User' } });
+
+  assert.strictEqual(await getAutoReviewReason(fakeOctokit(), botPr, policy({ mode: 'on_open' })), 'trigger mode `on_open`');
+  assert.strictEqual(await getAutoReviewReason(fakeOctokit(), botPr, policy({ mode: 'on_open', skip_bots: true })), null);
+  assert.strictEqual(await getAutoReviewReason(fakeOctokit(), humanPr, policy({ mode: 'on_open', skip_bots: true })), 'trigger mode `on_open`');
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { loadApp, listen } = require('./helpers');
+
+const { app, verifyWebhookSignature } = loadApp({ GITHUB_WEBHOOK_SECRET_PREVIOUS: 'old-secret' });
+
+// Function to sign a body the way GitHub does
+function sign(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+const body = Buffer.from(JSON.stringify({ action: 'ping' }));
+
+test('signatures made with the current secret are valid', () => {
+  assert.deepStrictEqual(verifyWebhookSignature(body, sign(body, 'test-secret')), { valid: true, usedPreviousSecret: false });
+});
+
+test('signatures made with the previous secret are valid during a rotation', () => {
+  assert.deepStrictEqual(verifyWebhookSignature(body, sign(body, 'old-secret')), { valid: true, usedPreviousSecret: true });
+});
+
+test('other signatures are rejected', () => {
+  assert.strictEqual(verifyWebhookSignature(body, sign(body, 'other-secret')).valid, false);
+  assert.strictEqual(verifyWebhookSignature(body, sign(Buffer.from('{}'), 'test-secret')).valid, false);
+  assert.strictEqual(verifyWebhookSignature(body, 'sha256=abc').valid, false);
+  assert.strictEqual(verifyWebhookSignature(body, 'sha1=abc').valid, false);
+  assert.strictEqual(verifyWebhookSignature(body, undefined).valid, false);
+});
+
+test('the webhook endpoint answers 401 for a bad signature', async (t) => {
+  const response = await fetch(`${await listen(t, app)}/webhooks`, {
+    method: 'POST',
+    headers: {
+      'content-type': 'application/json',
+      'x-github-delivery': 'delivery-1',
+      'x-github-event': 'ping',
+      'x-hub-signature-256': sign(body, 'other-secret'),
+    },
+    body,
+  });
+
+  assert.strictEqual(response.status, 401);
+});